@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+"use strict";
+
+const { run } = require("../src/cli");
+
+run(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
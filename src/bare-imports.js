@@ -0,0 +1,208 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { ImportKind, parseImportDirective } = require("./import-directive");
+const { isRelativePath } = require("./import-paths");
+const { tokenize, TokenType } = require("./lexer");
+const { bySymbolName } = require("./named-imports");
+const { resolveRemapping } = require("./remappings");
+const { findWorkspaceLayout } = require("./workspaces");
+
+/** Keywords followed by the name of a file-level declaration. */
+const DECLARATION_KEYWORDS = new Set([
+  "contract",
+  "interface",
+  "library",
+  "struct",
+  "enum",
+  "error",
+  "event",
+  "function",
+  "type",
+]);
+
+/**
+ * The file-level symbols of a Solidity source: what it declares, what its
+ * named and aliased imports bind, and the paths of its bare imports (whose
+ * symbols it re-exports; null for an import that could not be parsed).
+ *
+ * @typedef {{ declared: string[], bareImports: (string | null)[] }} FileSymbols
+ */
+
+/**
+ * Collect the file-level symbols of `source`: contracts, interfaces,
+ * libraries, structs, enums, errors, events, free functions, user-defined
+ * value types and constants, plus the names its imports bind.
+ *
+ * @param {string} source
+ * @returns {FileSymbols}
+ */
+function fileSymbols(source) {
+  const tokens = tokenize(source).filter((t) => t.type !== TokenType.COMMENT);
+  const declared = [];
+  const bareImports = [];
+  let depth = 0;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.value === "{" || token.value === "(") depth++;
+    else if (token.value === "}" || token.value === ")") depth--;
+    if (depth !== 0 || token.type !== TokenType.IDENTIFIER) continue;
+
+    const next = tokens[i + 1];
+    if (token.value === "import") {
+      let end = i;
+      while (end < tokens.length && tokens[end].value !== ";") end++;
+      const directive = parseImportDirective(
+        source.slice(token.start, tokens[end]?.end ?? source.length),
+      );
+      if (directive === null) {
+        // Unparsable: whatever it brings into scope is unknown.
+        bareImports.push(null);
+      } else if (directive.kind === ImportKind.BARE) {
+        bareImports.push(directive.path);
+      } else if (directive.kind === ImportKind.NAMED) {
+        declared.push(...directive.symbols.map((s) => s.alias ?? s.name));
+      } else {
+        declared.push(directive.alias);
+      }
+      i = end;
+    } else if (
+      next &&
+      next.type === TokenType.IDENTIFIER &&
+      (DECLARATION_KEYWORDS.has(token.value) || token.value === "constant")
+    ) {
+      declared.push(next.value);
+    }
+  }
+
+  return { declared, bareImports };
+}
+
+/**
+ * Find the file an import refers to on local disk: relative to the importing
+ * file, through the project's remappings, as a workspace package or below a
+ * node_modules directory above the importing file.
+ *
+ * @param {string}                                importPath
+ * @param {string}                                fromFile  absolute
+ * @param {import("./remappings").Project | null} project
+ * @returns {string | null}  absolute path of an existing file
+ */
+function resolveImportFile(importPath, fromFile, project) {
+  const candidates = [];
+  if (isRelativePath(importPath)) {
+    candidates.push(path.resolve(path.dirname(fromFile), importPath));
+  } else {
+    const remapped = project
+      ? resolveRemapping(importPath, project, fromFile)
+      : null;
+    if (remapped !== null) {
+      candidates.push(path.resolve(project.root, remapped));
+    }
+    for (const pkg of findWorkspaceLayout(fromFile)) {
+      if (importPath.startsWith(`${pkg.name}/`)) {
+        candidates.push(path.join(pkg.dir, importPath.slice(pkg.name.length)));
+      }
+    }
+    for (let dir = path.dirname(fromFile); ; dir = path.dirname(dir)) {
+      candidates.push(path.join(dir, "node_modules", importPath));
+      if (path.dirname(dir) === dir) break;
+    }
+  }
+  return (
+    candidates.find((file) => {
+      try {
+        return fs.statSync(file).isFile();
+      } catch {
+        return false;
+      }
+    }) ?? null
+  );
+}
+
+/**
+ * Collect every symbol a bare import of `file` brings into scope: its own
+ * file-level symbols and, recursively, those of its bare imports.
+ *
+ * @param {string}                                file     absolute
+ * @param {import("./remappings").Project | null} project
+ * @param {Set<string>}                           [seen]   files already visited
+ * @returns {Set<string> | null}  null when a file cannot be read or resolved
+ */
+function exportedSymbols(file, project, seen = new Set()) {
+  const symbols = new Set();
+  if (seen.has(file)) return symbols;
+  seen.add(file);
+
+  let source;
+  try {
+    source = fs.readFileSync(file, "utf8");
+  } catch {
+    return null;
+  }
+  const { declared, bareImports } = fileSymbols(source);
+  for (const name of declared) symbols.add(name);
+  for (const importPath of bareImports) {
+    const target =
+      importPath === null ? null : resolveImportFile(importPath, file, project);
+    const nested = target ? exportedSymbols(target, project, seen) : null;
+    if (nested === null) return null;
+    for (const name of nested) symbols.add(name);
+  }
+  return symbols;
+}
+
+/**
+ * Rewrite a bare `import "path";` into `import { ... } from "path";`, naming
+ * the symbols of the imported file that are in `used`.
+ *
+ * Returns the import unchanged when it is not bare, its file cannot be
+ * resolved and read (along with every file it bare-imports in turn), or none
+ * of its symbols is used.
+ *
+ * @param {string}      importText
+ * @param {Set<string>} used  identifiers used by the importing file and not
+ *   bound by its other imports
+ * @param {{
+ *   filepath: string,
+ *   project: import("./remappings").Project | null,
+ *   bracketSpacing: boolean,
+ * }} context
+ * @returns {string}
+ */
+function nameBareImport(importText, used, context) {
+  const directive = parseImportDirective(importText);
+  if (directive === null || directive.kind !== ImportKind.BARE) {
+    return importText;
+  }
+
+  const from = path.resolve(context.filepath);
+  const file = resolveImportFile(directive.path, from, context.project);
+  const symbols = file ? exportedSymbols(file, context.project) : null;
+  if (symbols === null) return importText;
+
+  const names = [...symbols]
+    .filter((name) => used.has(name))
+    .map((name) => ({ name, alias: null, leading: [], trailing: null }))
+    .sort(bySymbolName)
+    .map((s) => s.name);
+  if (names.length === 0) return importText;
+
+  const pad = context.bracketSpacing ? " " : "";
+  return (
+    importText.slice(0, directive.pathStart) +
+    `{${pad}${names.join(", ")}${pad}} from ` +
+    importText.slice(directive.pathStart)
+  );
+}
+
+module.exports = {
+  exportedSymbols,
+  fileSymbols,
+  nameBareImport,
+  resolveImportFile,
+};
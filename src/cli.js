@@ -0,0 +1,467 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+"use strict";
+
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const { unifiedDiff } = require("./diff");
+const { globToRegExp } = require("./import-groups");
+const { loadProject } = require("./remappings");
+const { analyzeImports, sortImports } = require("./sort-imports");
+
+/** Files matched when no patterns are given. */
+const DEFAULT_PATTERNS = ["**/*.sol"];
+
+/** Directories never descended into while expanding globs. */
+const SKIPPED_DIRECTORIES = new Set([".git", "node_modules"]);
+
+/** Ignore files read from the current directory, as Prettier's CLI does. */
+const IGNORE_FILES = [".gitignore", ".prettierignore"];
+
+/** Process exit codes. */
+const ExitCode = Object.freeze({
+  OK: 0,
+  UNSORTED: 1,
+  ERROR: 2,
+});
+
+const USAGE = `Usage: solidity-sort-imports [options] [file/dir/glob ...]
+
+Sort the imports of Solidity files with the same options the Prettier plugin
+reads from .prettierrc. Without patterns, every **/*.sol file under the
+current directory is processed. node_modules, .git and the libraries of a
+Foundry project are skipped, and so is whatever .gitignore and
+.prettierignore list.
+
+Options:
+  --check    List files whose imports are not sorted; exit 1 if any
+  --write    Rewrite files in place
+  --diff     Print a unified diff of the changes
+  --explain  Print the group, matching rule and old/new lines of every import
+  --staged   Only process the staged version of .sol files staged in git;
+             --write updates the index, and the working tree copy when
+             it has no unstaged changes
+  -h, --help Show this message
+
+Without --write, --diff or --explain, --check is implied.`;
+
+/**
+ * @typedef {{
+ *   check: boolean,
+ *   write: boolean,
+ *   diff: boolean,
+ *   explain: boolean,
+ *   staged: boolean,
+ *   help: boolean,
+ *   patterns: string[],
+ * }} CliArgs
+ */
+
+/**
+ * Parse command-line arguments.
+ *
+ * @param {string[]} argv  arguments after the executable and script
+ * @returns {CliArgs}
+ */
+function parseArgs(argv) {
+  const args = {
+    check: false,
+    write: false,
+    diff: false,
+    explain: false,
+    staged: false,
+    help: false,
+    patterns: [],
+  };
+  for (const arg of argv) {
+    switch (arg) {
+      case "--check":
+        args.check = true;
+        break;
+      case "--write":
+        args.write = true;
+        break;
+      case "--diff":
+        args.diff = true;
+        break;
+      case "--explain":
+        args.explain = true;
+        break;
+      case "--staged":
+        args.staged = true;
+        break;
+      case "-h":
+      case "--help":
+        args.help = true;
+        break;
+      default:
+        if (arg.startsWith("-")) throw new Error(`Unknown option: ${arg}`);
+        args.patterns.push(arg);
+    }
+  }
+  if (!args.write && !args.diff && !args.explain) args.check = true;
+  return args;
+}
+
+/**
+ * Convert a path to the forward-slash form used for glob matching and output.
+ *
+ * @param {string} file
+ * @returns {string}
+ */
+function toPosix(file) {
+  return file.split(path.sep).join("/");
+}
+
+/**
+ * Returns true when `dir` is one of the library directories (`libs`) of the
+ * Foundry project around it, which hold vendored dependencies.
+ *
+ * @param {string} dir  absolute path
+ * @returns {boolean}
+ */
+function isLibraryDirectory(dir) {
+  // loadProject searches upward from the directory holding the path given.
+  const project = loadProject(dir);
+  return (
+    project !== null &&
+    project.libs.some((lib) => path.resolve(project.root, lib) === dir)
+  );
+}
+
+/**
+ * List every file under `dir`, relative to `cwd`, skipping SKIPPED_DIRECTORIES
+ * and library directories.
+ *
+ * @param {string} cwd
+ * @param {string} dir  relative to cwd
+ * @returns {string[]}
+ */
+function walk(cwd, dir) {
+  let entries;
+  try {
+    entries = fs.readdirSync(path.join(cwd, dir), { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  const files = [];
+  for (const entry of entries) {
+    const rel = dir === "" ? entry.name : `${dir}/${entry.name}`;
+    if (entry.isDirectory()) {
+      if (
+        !SKIPPED_DIRECTORIES.has(entry.name) &&
+        !isLibraryDirectory(path.join(cwd, rel))
+      ) {
+        files.push(...walk(cwd, rel));
+      }
+    } else if (entry.isFile()) {
+      files.push(rel);
+    }
+  }
+  return files;
+}
+
+/**
+ * Expand file, directory and glob patterns into a sorted list of files,
+ * relative to `cwd`. A directory stands for every .sol file beneath it.
+ * Throws when a pattern matches no file, so a mistyped pattern cannot pass
+ * a check without checking anything.
+ *
+ * @param {string[]} patterns
+ * @param {string}   cwd
+ * @returns {string[]}
+ */
+function expandPatterns(patterns, cwd) {
+  const files = new Set();
+  let tree = null;
+  for (const pattern of patterns) {
+    const rel = toPosix(path.relative(cwd, path.resolve(cwd, pattern)));
+    let stat = null;
+    try {
+      stat = fs.statSync(path.join(cwd, rel));
+    } catch {
+      // Not an existing path: treat it as a glob.
+    }
+
+    if (stat && stat.isFile()) {
+      files.add(rel);
+      continue;
+    }
+    const glob =
+      stat && stat.isDirectory()
+        ? rel === ""
+          ? "**/*.sol"
+          : `${rel}/**/*.sol`
+        : rel;
+    const regex = globToRegExp(glob.replace(/^\.\//, ""));
+    tree = tree ?? walk(cwd, "");
+    const matched = tree.filter((file) => regex.test(file));
+    if (matched.length === 0) {
+      throw new Error(`No files matching the pattern were found: "${pattern}"`);
+    }
+    for (const file of matched) files.add(file);
+  }
+  return [...files].sort();
+}
+
+/**
+ * List the .sol files staged in git, relative to `cwd`. Deleted files are
+ * left out.
+ *
+ * @param {string} cwd
+ * @returns {string[]}
+ */
+function stagedFiles(cwd) {
+  const output = execFileSync(
+    "git",
+    [
+      "diff",
+      "--cached",
+      "--name-only",
+      "--relative",
+      "--diff-filter=ACMR",
+      "-z",
+    ],
+    { cwd, encoding: "utf8" },
+  );
+  return output.split("\0").filter((file) => file.endsWith(".sol"));
+}
+
+/**
+ * Read the staged version of `file` from the git index.
+ *
+ * @param {string} cwd
+ * @param {string} file  relative to cwd
+ * @returns {string}
+ */
+function readStaged(cwd, file) {
+  return execFileSync("git", ["show", `:./${file}`], {
+    cwd,
+    encoding: "utf8",
+    maxBuffer: Infinity,
+  });
+}
+
+/**
+ * Replace the staged version of `file` in the git index with `content`,
+ * keeping its file mode. The working tree copy is rewritten too when it
+ * matches the version that was staged (`staged`); otherwise it holds
+ * unstaged changes and is left alone.
+ *
+ * @param {string} cwd
+ * @param {string} file     relative to cwd
+ * @param {string} content
+ * @param {string} staged   the staged content being replaced
+ */
+function writeStaged(cwd, file, content, staged) {
+  const git = (args, input) =>
+    execFileSync("git", args, { cwd, encoding: "utf8", input }).trim();
+  // "<mode> <hash> <stage>\t<path>", the path relative to the repository
+  // root as --cacheinfo expects it.
+  const entry = git([
+    "ls-files",
+    "--stage",
+    "--full-name",
+    "-z",
+    "--",
+    file,
+  ]).replace(/\0$/, "");
+  const [mode] = entry.split(" ");
+  const fullName = entry.slice(entry.indexOf("\t") + 1);
+  const hash = git(["hash-object", "-w", "--stdin", `--path=${file}`], content);
+  git(["update-index", "--cacheinfo", `${mode},${hash},${fullName}`]);
+
+  const full = path.join(cwd, file);
+  if (fs.readFileSync(full, "utf8") === staged) {
+    fs.writeFileSync(full, content);
+  }
+}
+
+/**
+ * Returns true when Prettier's ignore files in `cwd` (IGNORE_FILES) exclude
+ * `file`.
+ *
+ * @param {string} file  absolute path
+ * @param {string} cwd
+ * @returns {Promise<boolean>}
+ */
+async function isIgnored(file, cwd) {
+  const prettier = require("prettier");
+  const { ignored } = await prettier.getFileInfo(file, {
+    ignorePath: IGNORE_FILES.map((name) => path.join(cwd, name)),
+  });
+  return ignored;
+}
+
+/**
+ * Resolve the Prettier options for `file`: the plugin's default options, then
+ * whatever .prettierrc (including its `overrides`) sets for that file.
+ *
+ * @param {string} file  absolute path
+ * @returns {Promise<object>}
+ */
+async function resolveOptions(file) {
+  const prettier = require("prettier");
+  const { defaultOptions = {} } = require("./index");
+  const config = (await prettier.resolveConfig(file)) ?? {};
+  return { ...defaultOptions, ...config, filepath: file };
+}
+
+/**
+ * Format a line range as "3" or "3-5".
+ *
+ * @param {import("./sort-imports").LineRange} range
+ * @returns {string}
+ */
+function formatRange(range) {
+  return range.start === range.end
+    ? `${range.start}`
+    : `${range.start}-${range.end}`;
+}
+
+/**
+ * Render the diagnostics of one file, one import per line:
+ *
+ *   contracts/A.sol
+ *     3 -> 5  group 4 <relative>  bare  ./Local.sol
+ *     4 -> merged  named  ./Local.sol
+ *
+ * @param {string}                                    file
+ * @param {import("./sort-imports").ImportDiagnostic[]} diagnostics
+ * @returns {string}
+ */
+function formatDiagnostics(file, diagnostics) {
+  const lines = [file];
+  for (const d of diagnostics) {
+    const target = d.newLines
+      ? formatRange(d.newLines)
+      : d.duplicate
+        ? "merged"
+        : "removed";
+    const group =
+      d.group === null ? "" : `group ${d.group} ${d.rule ?? "(unmatched)"}  `;
+    const kind = d.kind ?? (d.specific ? "specific" : "bare");
+    lines.push(
+      `  ${formatRange(d.lines)} -> ${target}  ${group}${kind}  ${d.path}`,
+    );
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Run the CLI.
+ *
+ * @param {string[]} argv  arguments after the executable and script
+ * @param {{
+ *   cwd?: string,
+ *   stdout?: { write(chunk: string): unknown },
+ *   stderr?: { write(chunk: string): unknown },
+ * }} [io]
+ * @returns {Promise<number>}  the process exit code
+ */
+async function run(argv, io = {}) {
+  const {
+    cwd = process.cwd(),
+    stdout = process.stdout,
+    stderr = process.stderr,
+  } = io;
+
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return ExitCode.ERROR;
+  }
+  if (args.help) {
+    stdout.write(`${USAGE}\n`);
+    return ExitCode.OK;
+  }
+
+  let files;
+  try {
+    if (args.staged) {
+      const staged = stagedFiles(cwd);
+      const matched =
+        args.patterns.length === 0
+          ? null
+          : new Set(expandPatterns(args.patterns, cwd));
+      files = matched ? staged.filter((f) => matched.has(f)) : staged;
+    } else {
+      files = expandPatterns(
+        args.patterns.length === 0 ? DEFAULT_PATTERNS : args.patterns,
+        cwd,
+      );
+    }
+  } catch (error) {
+    stderr.write(`${error.message}\n`);
+    return ExitCode.ERROR;
+  }
+
+  const unsorted = [];
+  let failed = false;
+
+  for (const file of files) {
+    const full = path.join(cwd, file);
+    let source;
+    let sorted;
+    try {
+      if (await isIgnored(full, cwd)) continue;
+      source = args.staged
+        ? readStaged(cwd, file)
+        : fs.readFileSync(full, "utf8");
+      const options = await resolveOptions(full);
+      sorted = sortImports(source, options);
+      if (args.explain) {
+        const diagnostics = analyzeImports(source, options);
+        if (diagnostics.length > 0) {
+          stdout.write(formatDiagnostics(file, diagnostics));
+        }
+      }
+    } catch (error) {
+      stderr.write(`${file}: ${error.message}\n`);
+      failed = true;
+      continue;
+    }
+    if (sorted === source) continue;
+
+    unsorted.push(file);
+    if (args.diff) {
+      stdout.write(
+        unifiedDiff(source, sorted, {
+          fromFile: `a/${file}`,
+          toFile: `b/${file}`,
+        }),
+      );
+    }
+    if (args.write) {
+      try {
+        if (args.staged) writeStaged(cwd, file, sorted, source);
+        else fs.writeFileSync(full, sorted);
+      } catch (error) {
+        stderr.write(`${file}: ${error.message}\n`);
+        failed = true;
+      }
+    } else if (args.check) {
+      stdout.write(`${file}\n`);
+    }
+  }
+
+  if (failed) return ExitCode.ERROR;
+  if (args.check && !args.write && unsorted.length > 0) {
+    stderr.write(
+      `Imports are not sorted in ${unsorted.length} file${unsorted.length === 1 ? "" : "s"}.\n`,
+    );
+    return ExitCode.UNSORTED;
+  }
+  return ExitCode.OK;
+}
+
+module.exports = {
+  ExitCode,
+  expandPatterns,
+  formatDiagnostics,
+  parseArgs,
+  run,
+};
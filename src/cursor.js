@@ -0,0 +1,83 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+"use strict";
+
+const { diffLines } = require("./diff");
+
+/**
+ * A run of lines that moved as a unit, such as an import with its attached
+ * comments: zero-based, inclusive line numbers before and after.
+ *
+ * @typedef {{
+ *   oldStart: number,
+ *   oldEnd: number,
+ *   newStart: number,
+ *   newEnd: number,
+ * }} LineMove
+ */
+
+/**
+ * Returns the offset of the start of line `line`.
+ *
+ * @param {string[]} lines
+ * @param {number}   line
+ * @returns {number}
+ */
+function lineOffset(lines, line) {
+  let offset = 0;
+  for (let i = 0; i < line; i++) offset += lines[i].length + 1;
+  return offset;
+}
+
+/**
+ * Returns the line of `newLines` that line `line` of `oldLines` became:
+ * itself if it was kept, otherwise the first line of what replaced it.
+ *
+ * @param {string[]} oldLines
+ * @param {string[]} newLines
+ * @param {number}   line
+ * @returns {number}
+ */
+function diffedLine(oldLines, newLines, line) {
+  let a = 0;
+  let b = 0;
+  for (const { op } of diffLines(oldLines, newLines)) {
+    if (op === "+") {
+      b++;
+      continue;
+    }
+    if (a === line) return Math.min(b, newLines.length - 1);
+    a++;
+    if (op === " ") b++;
+  }
+  return newLines.length - 1;
+}
+
+/**
+ * Map a cursor offset in `oldText` to `newText`, keeping it on the same
+ * line and column where it can. A cursor inside one of `moves` follows the
+ * lines it is on; anywhere else it follows a line diff of the two texts.
+ * The column is clamped to the length of the line it lands on.
+ *
+ * @param {string}     oldText
+ * @param {string}     newText
+ * @param {number}     offset
+ * @param {LineMove[]} moves
+ * @returns {number}
+ */
+function mapOffset(oldText, newText, offset, moves) {
+  const oldLines = oldText.split("\n");
+  const newLines = newText.split("\n");
+  const line = oldText.slice(0, offset).split("\n").length - 1;
+  const column = offset - lineOffset(oldLines, line);
+
+  const move = moves.find((m) => line >= m.oldStart && line <= m.oldEnd);
+  const target = move
+    ? Math.min(move.newStart + line - move.oldStart, move.newEnd)
+    : diffedLine(oldLines, newLines, line);
+  return (
+    lineOffset(newLines, target) + Math.min(column, newLines[target].length)
+  );
+}
+
+module.exports = { mapOffset };
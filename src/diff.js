@@ -0,0 +1,178 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+"use strict";
+
+/**
+ * One line-level edit operation: kept (" "), removed ("-") or added ("+").
+ *
+ * @typedef {{ op: " " | "-" | "+", line: string }} LineOp
+ */
+
+/** Marks a diff line whose text does not end with a newline. */
+const NO_NEWLINE = "\\ No newline at end of file";
+
+/**
+ * Split text into lines, each keeping its line ending. A final line without
+ * one is kept as it is; there is no empty line after a final newline.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitLines(text) {
+  return text.match(/[^\n]*\n|[^\n]+$/g) ?? [];
+}
+
+/**
+ * Compute a line diff between two arrays of lines.
+ *
+ * The common prefix and suffix are matched directly, and only the differing
+ * middle goes through a longest-common-subsequence table. Import sorting only
+ * touches one region of a file, so that middle stays small.
+ *
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {LineOp[]}
+ */
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  // lcs[i][j] = length of the LCS of midA[i..] and midB[j..]
+  const lcs = Array.from({ length: midA.length + 1 }, () =>
+    new Array(midB.length + 1).fill(0),
+  );
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      lcs[i][j] =
+        midA[i] === midB[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = a.slice(0, start).map((line) => ({ op: " ", line }));
+  let i = 0;
+  let j = 0;
+  while (i < midA.length || j < midB.length) {
+    if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+      ops.push({ op: " ", line: midA[i] });
+      i++;
+      j++;
+    } else if (
+      i < midA.length &&
+      (j === midB.length || lcs[i + 1][j] >= lcs[i][j + 1])
+    ) {
+      ops.push({ op: "-", line: midA[i++] });
+    } else {
+      ops.push({ op: "+", line: midB[j++] });
+    }
+  }
+  for (const line of a.slice(endA)) ops.push({ op: " ", line });
+
+  // Removals read better before the additions they pair with.
+  return normalizeOrder(ops);
+}
+
+/**
+ * Within each run of changed lines, list removals before additions.
+ *
+ * @param {LineOp[]} ops
+ * @returns {LineOp[]}
+ */
+function normalizeOrder(ops) {
+  const result = [];
+  let removed = [];
+  let added = [];
+  const flush = () => {
+    result.push(...removed, ...added);
+    removed = [];
+    added = [];
+  };
+  for (const op of ops) {
+    if (op.op === "-") removed.push(op);
+    else if (op.op === "+") added.push(op);
+    else {
+      flush();
+      result.push(op);
+    }
+  }
+  flush();
+  return result;
+}
+
+/**
+ * Render a unified diff between two texts, or an empty string when they are
+ * equal. A line without a final newline is followed by the
+ * `\ No newline at end of file` marker, as git writes it.
+ *
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {{ fromFile?: string, toFile?: string, context?: number }} [options]
+ * @returns {string}
+ */
+function unifiedDiff(oldText, newText, options = {}) {
+  if (oldText === newText) return "";
+
+  const { fromFile = "a", toFile = "b", context = 3 } = options;
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+
+  // Group changes that are within 2 * context lines of each other into hunks.
+  const hunks = [];
+  let current = null;
+  let lastChange = -Infinity;
+  ops.forEach((op, index) => {
+    if (op.op === " ") return;
+    if (current && index - lastChange <= 2 * context) {
+      current.end = index;
+    } else {
+      current = { start: index, end: index };
+      hunks.push(current);
+    }
+    lastChange = index;
+  });
+
+  // Line numbers (1-based) of each op in the old and new text.
+  const oldLine = [];
+  const newLine = [];
+  let o = 1;
+  let n = 1;
+  for (const op of ops) {
+    oldLine.push(o);
+    newLine.push(n);
+    if (op.op !== "+") o++;
+    if (op.op !== "-") n++;
+  }
+
+  const out = [`--- ${fromFile}`, `+++ ${toFile}`];
+  for (const hunk of hunks) {
+    const from = Math.max(0, hunk.start - context);
+    const to = Math.min(ops.length - 1, hunk.end + context);
+    const slice = ops.slice(from, to + 1);
+    const oldCount = slice.filter((op) => op.op !== "+").length;
+    const newCount = slice.filter((op) => op.op !== "-").length;
+    const oldStart = oldCount === 0 ? oldLine[from] - 1 : oldLine[from];
+    const newStart = newCount === 0 ? newLine[from] - 1 : newLine[from];
+    out.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const op of slice) {
+      if (op.line.endsWith("\n")) {
+        out.push(op.op + op.line.slice(0, -1));
+      } else {
+        out.push(op.op + op.line, NO_NEWLINE);
+      }
+    }
+  }
+  return out.join("\n") + "\n";
+}
+
+module.exports = { diffLines, splitLines, unifiedDiff };
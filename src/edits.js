@@ -0,0 +1,93 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+"use strict";
+
+const { diffLines, splitLines, unifiedDiff } = require("./diff");
+
+/**
+ * Replace the text from offset `start` up to (not including) `end` with
+ * `newText`. An insertion has `start === end`, a deletion an empty `newText`.
+ *
+ * @typedef {{ start: number, end: number, newText: string }} TextEdit
+ */
+
+/**
+ * Compute the edits that turn `oldText` into `newText`: one per run of
+ * changed lines, replacing whole lines, in document order.
+ *
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {TextEdit[]}
+ */
+function computeEdits(oldText, newText) {
+  const edits = [];
+  if (oldText === newText) return edits;
+
+  let offset = 0;
+  let current = null;
+  for (const { op, line } of diffLines(
+    splitLines(oldText),
+    splitLines(newText),
+  )) {
+    if (op === " ") {
+      offset += line.length;
+      current = null;
+      continue;
+    }
+    if (current === null) {
+      current = { start: offset, end: offset, newText: "" };
+      edits.push(current);
+    }
+    if (op === "-") {
+      offset += line.length;
+      current.end = offset;
+    } else {
+      current.newText += line;
+    }
+  }
+  return edits;
+}
+
+/**
+ * Apply edits to `text`. The edits must not overlap; their order does not
+ * matter.
+ *
+ * @param {string}     text
+ * @param {TextEdit[]} edits
+ * @returns {string}
+ */
+function applyEdits(text, edits) {
+  const sorted = [...edits].sort((a, b) => a.start - b.start);
+  let result = "";
+  let offset = 0;
+  for (const edit of sorted) {
+    if (
+      edit.start < offset ||
+      edit.end < edit.start ||
+      edit.end > text.length
+    ) {
+      throw new Error(
+        `Invalid edit ${JSON.stringify({ start: edit.start, end: edit.end })}: ` +
+          "edits must lie within the text and not overlap",
+      );
+    }
+    result += text.slice(offset, edit.start) + edit.newText;
+    offset = edit.end;
+  }
+  return result + text.slice(offset);
+}
+
+/**
+ * Render edits to `text` as a unified diff, or an empty string when they
+ * change nothing.
+ *
+ * @param {string}     text
+ * @param {TextEdit[]} edits
+ * @param {{ fromFile?: string, toFile?: string, context?: number }} [options]
+ * @returns {string}
+ */
+function renderEdits(text, edits, options) {
+  return unifiedDiff(text, applyEdits(text, edits), options);
+}
+
+module.exports = { applyEdits, computeEdits, renderEdits };
@@ -0,0 +1,44 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+"use strict";
+
+const fs = require("fs");
+
+/**
+ * Returns a fingerprint of the modification time and size of `files`. A
+ * missing file has a fingerprint too, so creating it changes the result.
+ *
+ * @param {string[]} files
+ * @returns {string}
+ */
+function fileStamp(files) {
+  return files
+    .map((file) => {
+      const stat = fs.statSync(file, { throwIfNoEntry: false });
+      return stat ? `${stat.mtimeMs}:${stat.size}` : "-";
+    })
+    .join("|");
+}
+
+/**
+ * Create a cache whose entries are dropped as soon as one of the files (or
+ * directories) they were read from changes on disk. `load` returns the value
+ * together with those files; it only runs when there is no fresh entry.
+ * Values may be null, so failed lookups are cached as well.
+ *
+ * @template T
+ * @returns {(key: string, load: () => { value: T, files: string[] }) => T}
+ */
+function fileCache() {
+  /** @type {Map<string, { value: T, files: string[], stamp: string }>} */
+  const entries = new Map();
+  return (key, load) => {
+    const entry = entries.get(key);
+    if (entry && entry.stamp === fileStamp(entry.files)) return entry.value;
+    const { value, files } = load();
+    entries.set(key, { value, files, stamp: fileStamp(files) });
+    return value;
+  };
+}
+
+module.exports = { fileCache };
@@ -0,0 +1,208 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+"use strict";
+
+const { tokenize, TokenType } = require("./lexer");
+
+/**
+ * The grammar forms of an import directive.
+ *
+ * BARE – import "path";
+ * ALIASED – import "path" as Unit;
+ * NAMESPACE – import * as Unit from "path";
+ * NAMED – import { A, B as C } from "path";
+ */
+const ImportKind = {
+  BARE: "bare",
+  ALIASED: "aliased",
+  NAMESPACE: "namespace",
+  NAMED: "named",
+};
+
+/**
+ * A parsed import directive.
+ *
+ *   kind       an ImportKind value
+ *   path       the imported path, with escape sequences decoded
+ *   alias      the unit alias of ALIASED and NAMESPACE imports, otherwise null
+ *   symbols    the symbols of a NAMED import, otherwise null
+ *   pathStart  offset of the path literal (including its quotes) in the text
+ *   pathEnd    offset just past it
+ *
+ * @typedef {{
+ *   kind: string,
+ *   path: string,
+ *   alias: string | null,
+ *   symbols: { name: string, alias: string | null }[] | null,
+ *   pathStart: number,
+ *   pathEnd: number,
+ * }} ImportDirective
+ */
+
+/** Single-character escapes of Solidity string literals. */
+const ESCAPES = {
+  n: "\n",
+  r: "\r",
+  t: "\t",
+  "\\": "\\",
+  "'": "'",
+  '"': '"',
+  "\n": "",
+};
+
+/**
+ * Decode the escape sequences of a string literal body.
+ *
+ * @param {string} body  the literal without its quotes
+ * @returns {string | null}  null for an invalid escape
+ */
+function decodeString(body) {
+  let out = "";
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] !== "\\") {
+      out += body[i];
+      continue;
+    }
+    const ch = body[++i];
+    if (ch in ESCAPES) {
+      out += ESCAPES[ch];
+    } else if (
+      ch === "x" &&
+      /^[0-9a-fA-F]{2}$/.test(body.slice(i + 1, i + 3))
+    ) {
+      out += String.fromCharCode(parseInt(body.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else if (
+      ch === "u" &&
+      /^[0-9a-fA-F]{4}$/.test(body.slice(i + 1, i + 5))
+    ) {
+      out += String.fromCharCode(parseInt(body.slice(i + 1, i + 5), 16));
+      i += 4;
+    } else {
+      return null;
+    }
+  }
+  return out;
+}
+
+/**
+ * Returns the decoded path of a string token that can be an import path: a
+ * plain, terminated, non-empty literal.
+ *
+ * @param {import("./lexer").Token | undefined} token
+ * @returns {string | null}
+ */
+function importPathOf(token) {
+  if (!token || token.type !== TokenType.STRING) return null;
+  const quote = token.value[0];
+  if (
+    (quote !== '"' && quote !== "'") ||
+    token.value.length < 3 ||
+    !token.value.endsWith(quote)
+  ) {
+    return null;
+  }
+  const body = token.value.slice(1, -1);
+  // A closing quote preceded by an odd number of backslashes is escaped.
+  if (/(^|[^\\])(\\\\)*\\$/.test(body)) return null;
+  return decodeString(body);
+}
+
+/**
+ * Parse the symbol list of a NAMED import: `tokens` are the code tokens
+ * between its braces. A trailing comma is accepted, as the rest of the
+ * sorter does.
+ *
+ * @param {import("./lexer").Token[]} tokens
+ * @returns {{ name: string, alias: string | null }[] | null}  null when
+ *   malformed
+ */
+function parseSymbols(tokens) {
+  const symbols = [];
+  let i = 0;
+  while (i < tokens.length) {
+    if (tokens[i].type !== TokenType.IDENTIFIER) return null;
+    const symbol = { name: tokens[i].value, alias: null };
+    i++;
+    if (tokens[i]?.value === "as") {
+      if (tokens[i + 1]?.type !== TokenType.IDENTIFIER) return null;
+      symbol.alias = tokens[i + 1].value;
+      i += 2;
+    }
+    symbols.push(symbol);
+    if (i === tokens.length) break;
+    if (tokens[i].value !== ",") return null;
+    i++;
+  }
+  return symbols.length > 0 ? symbols : null;
+}
+
+/**
+ * Parse an import directive, comments allowed anywhere between its tokens:
+ *
+ *   import "path" [as Unit];
+ *   import * as Unit from "path";
+ *   import { A [as B], ... } from "path";
+ *
+ * @param {string} importText  one import statement, without attached comments
+ * @returns {ImportDirective | null}  null when the text is not exactly one
+ *   import directive
+ */
+function parseImportDirective(importText) {
+  const code = tokenize(importText).filter((t) => t.type !== TokenType.COMMENT);
+  if (code.length === 0 || code[0].value !== "import") return null;
+
+  const isIdentifier = (token) => token?.type === TokenType.IDENTIFIER;
+  let kind;
+  let alias = null;
+  let symbols = null;
+  let pathToken;
+  let end;
+
+  if (importPathOf(code[1]) !== null) {
+    pathToken = code[1];
+    if (code[2]?.value === "as" && isIdentifier(code[3])) {
+      kind = ImportKind.ALIASED;
+      alias = code[3].value;
+      end = 4;
+    } else {
+      kind = ImportKind.BARE;
+      end = 2;
+    }
+  } else if (
+    code[1]?.value === "*" &&
+    code[2]?.value === "as" &&
+    isIdentifier(code[3]) &&
+    code[4]?.value === "from"
+  ) {
+    kind = ImportKind.NAMESPACE;
+    alias = code[3].value;
+    pathToken = code[5];
+    end = 6;
+  } else if (code[1]?.value === "{") {
+    const close = code.findIndex((t) => t.value === "}");
+    if (close === -1 || code[close + 1]?.value !== "from") return null;
+    symbols = parseSymbols(code.slice(2, close));
+    if (symbols === null) return null;
+    kind = ImportKind.NAMED;
+    pathToken = code[close + 2];
+    end = close + 3;
+  } else {
+    return null;
+  }
+
+  const path = importPathOf(pathToken);
+  if (path === null || code[end]?.value !== ";" || code.length !== end + 1) {
+    return null;
+  }
+  return {
+    kind,
+    path,
+    alias,
+    symbols,
+    pathStart: pathToken.start,
+    pathEnd: pathToken.end,
+  };
+}
+
+module.exports = { ImportKind, decodeString, parseImportDirective };
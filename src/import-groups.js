@@ -0,0 +1,429 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+"use strict";
+
+/**
+ * Pseudo-matchers understood in `solidityImportGroups` besides globs and
+ * regular expressions.
+ *
+ * CATCH_ALL – receives every import that no other group matched, wherever it
+ *             appears in the list
+ * RELATIVE – paths starting with ./ or ../
+ * FIRST_PARTY – any import under the first-party scope
+ * FIRST_PARTY_INTERFACES – first-party imports of interfaces
+ * THIRD_PARTY_INTERFACES – imports of interfaces that are neither first-party
+ *                          nor relative
+ * RELATIVE_INTERFACES – relative imports of interfaces
+ *
+ * What counts as an interface is decided by interfaceDetector.
+ */
+const PseudoMatcher = {
+  CATCH_ALL: "*",
+  RELATIVE: "<relative>",
+  FIRST_PARTY: "<first-party>",
+  FIRST_PARTY_INTERFACES: "<first-party-interfaces>",
+  THIRD_PARTY_INTERFACES: "<third-party-interfaces>",
+  RELATIVE_INTERFACES: "<relative-interfaces>",
+};
+
+/** Header comment label of every pseudo-matcher's group. */
+const PSEUDO_MATCHER_LABELS = {
+  [PseudoMatcher.CATCH_ALL]: "External",
+  [PseudoMatcher.RELATIVE]: "Local",
+  [PseudoMatcher.FIRST_PARTY]: "First-party",
+  [PseudoMatcher.FIRST_PARTY_INTERFACES]: "Interfaces",
+  [PseudoMatcher.THIRD_PARTY_INTERFACES]: "External interfaces",
+  [PseudoMatcher.RELATIVE_INTERFACES]: "Local interfaces",
+};
+
+/**
+ * Today's layout: third-party, first-party interfaces, first-party packages,
+ * relative imports.
+ */
+const DEFAULT_IMPORT_GROUPS = [
+  PseudoMatcher.CATCH_ALL,
+  PseudoMatcher.FIRST_PARTY_INTERFACES,
+  PseudoMatcher.FIRST_PARTY,
+  PseudoMatcher.RELATIVE,
+];
+
+/**
+ * Header comment labels of the default layout, one per group.
+ */
+const DEFAULT_GROUP_LABELS = DEFAULT_IMPORT_GROUPS.map(
+  (m) => PSEUDO_MATCHER_LABELS[m],
+);
+
+/**
+ * Which imports the default layout splits into interfaces and the rest
+ * (`solidityInterfaceSplit`).
+ *
+ * FIRST_PARTY – first-party imports only (DEFAULT_IMPORT_GROUPS)
+ * ALL – third-party and relative imports too (SPLIT_INTERFACE_GROUPS)
+ */
+const InterfaceSplit = {
+  FIRST_PARTY: "first-party",
+  ALL: "all",
+};
+
+/**
+ * The default layout with every kind of import split into interfaces first,
+ * then the rest.
+ */
+const SPLIT_INTERFACE_GROUPS = [
+  PseudoMatcher.THIRD_PARTY_INTERFACES,
+  PseudoMatcher.CATCH_ALL,
+  PseudoMatcher.FIRST_PARTY_INTERFACES,
+  PseudoMatcher.FIRST_PARTY,
+  PseudoMatcher.RELATIVE_INTERFACES,
+  PseudoMatcher.RELATIVE,
+];
+
+/** A slash-delimited regular expression: its source and flags. */
+const REGEX_LITERAL = /^\/(.+)\/([a-z]*)$/;
+
+/** Label of the implicit trailing group of imports no matcher claimed. */
+const UNMATCHED_GROUP_LABEL = "Other";
+
+/**
+ * Traits of an import path that pseudo-matchers test against.
+ *
+ * @typedef {{ relative: boolean, firstParty: boolean, interface: boolean }} PathTraits
+ */
+
+/**
+ * A compiled group matcher. `source` is the string it was compiled from.
+ *
+ * @typedef {{
+ *   source: string,
+ *   catchAll: boolean,
+ *   test: (importPath: string, traits: PathTraits) => boolean,
+ * }} GroupMatcher
+ */
+
+/**
+ * Convert a glob into an anchored regular expression.
+ *   **  any characters, including "/"
+ *   *   any characters except "/"
+ *   ?   one character except "/"
+ *
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  let pattern = "";
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === "*" && glob[i + 1] === "*") {
+      // "**/" also matches zero directories.
+      if (glob[i + 2] === "/") {
+        pattern += "(?:.*/)?";
+        i += 2;
+      } else {
+        pattern += ".*";
+        i++;
+      }
+    } else if (ch === "*") {
+      pattern += "[^/]*";
+    } else if (ch === "?") {
+      pattern += "[^/]";
+    } else {
+      pattern += ch.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * Compile a slash-delimited regular expression such as "/^@oz\\//i", or
+ * return null when `source` is not written that way.
+ *
+ * @param {string} source
+ * @param {string} entry  what `source` is, for the error message, e.g.
+ *   "solidityImportGroups matcher"
+ * @returns {RegExp | null}
+ */
+function regexLiteral(source, entry) {
+  const match = REGEX_LITERAL.exec(source);
+  if (!match) return null;
+  try {
+    return new RegExp(match[1], match[2]);
+  } catch (error) {
+    throw new Error(
+      `Invalid ${entry} ${JSON.stringify(source)}: ${error.message}`,
+    );
+  }
+}
+
+/**
+ * Compile one `solidityImportGroups` entry.
+ *
+ * Accepted forms:
+ *   "*"                          catch-all
+ *   "<relative>"                 relative imports
+ *   "<relative-interfaces>"      relative interface imports
+ *   "<first-party>"              first-party imports
+ *   "<first-party-interfaces>"   first-party interface imports
+ *   "<third-party-interfaces>"   third-party interface imports
+ *   "/^@oz\\//i"                 regular expression (slash-delimited, flags optional)
+ *   "@openzeppelin/**"           glob
+ *   "forge-std"                  glob without wildcards: the path itself or anything below it
+ *
+ * @param {string} source
+ * @returns {GroupMatcher}
+ */
+function compileMatcher(source) {
+  const matcher = (test, catchAll = false) => ({ source, catchAll, test });
+
+  switch (source) {
+    case PseudoMatcher.CATCH_ALL:
+      return matcher(() => true, true);
+    case PseudoMatcher.RELATIVE:
+      return matcher((_, traits) => traits.relative);
+    case PseudoMatcher.FIRST_PARTY:
+      return matcher((_, traits) => traits.firstParty);
+    case PseudoMatcher.FIRST_PARTY_INTERFACES:
+      return matcher((_, traits) => traits.firstParty && traits.interface);
+    case PseudoMatcher.THIRD_PARTY_INTERFACES:
+      return matcher(
+        (_, traits) =>
+          !traits.firstParty && !traits.relative && traits.interface,
+      );
+    case PseudoMatcher.RELATIVE_INTERFACES:
+      return matcher((_, traits) => traits.relative && traits.interface);
+  }
+
+  const regex = regexLiteral(source, "solidityImportGroups matcher");
+  if (regex) return matcher((importPath) => regex.test(importPath));
+
+  if (source.startsWith("<") && source.endsWith(">")) {
+    throw new Error(
+      `Unknown solidityImportGroups pseudo-matcher ${JSON.stringify(source)}. ` +
+        `Expected one of: ${Object.values(PseudoMatcher).join(", ")}`,
+    );
+  }
+
+  if (!/[*?]/.test(source)) {
+    const prefix = source.endsWith("/") ? source : source + "/";
+    return matcher(
+      (importPath) => importPath === source || importPath.startsWith(prefix),
+    );
+  }
+
+  const re = globToRegExp(source);
+  return matcher((importPath) => re.test(importPath));
+}
+
+/**
+ * Returns the default layout for a `solidityInterfaceSplit` value.
+ *
+ * @param {string} [split]  an InterfaceSplit value
+ * @returns {string[]}
+ */
+function defaultLayout(split = InterfaceSplit.FIRST_PARTY) {
+  switch (split) {
+    case InterfaceSplit.FIRST_PARTY:
+      return DEFAULT_IMPORT_GROUPS;
+    case InterfaceSplit.ALL:
+      return SPLIT_INTERFACE_GROUPS;
+  }
+  throw new Error(
+    `Unknown solidityInterfaceSplit ${JSON.stringify(split)}. ` +
+      `Expected one of: ${Object.values(InterfaceSplit).join(", ")}`,
+  );
+}
+
+/**
+ * Compile the configured group list, falling back to the default layout when
+ * it is missing or empty.
+ *
+ * @param {string[] | undefined} groups
+ * @param {string}               [split]  an InterfaceSplit value, selecting
+ *   the default layout
+ * @returns {GroupMatcher[]}
+ */
+function compileGroups(groups, split) {
+  const list = groups && groups.length > 0 ? groups : defaultLayout(split);
+  return list.map(compileMatcher);
+}
+
+/**
+ * Returns the path a regular expression matches literally, such as
+ * "forge-std/" for "^forge-std\\/", or null when it uses any other syntax.
+ *
+ * @param {string} body  the expression between the slashes
+ * @returns {string | null}
+ */
+function regexLiteralText(body) {
+  let text = "";
+  const source = body.replace(/^\^/, "").replace(/\$$/, "");
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (ch === "\\") {
+      // An escaped punctuation character stands for itself; \d, \w and
+      // friends do not.
+      const next = source[++i];
+      if (next === undefined || /\w/.test(next)) return null;
+      text += next;
+    } else if (/[.*+?()[\]{}|^$]/.test(ch)) {
+      return null;
+    } else {
+      text += ch;
+    }
+  }
+  return text;
+}
+
+/**
+ * Derive a readable header label from a `solidityImportGroups` matcher: the
+ * name of a pseudo-matcher's group, the path a glob or regular expression
+ * spells out ("@openzeppelin" for "@openzeppelin/**", "forge-std" for
+ * "/^forge-std\\//"), or null when there is none.
+ *
+ * @param {string} source
+ * @returns {string | null}
+ */
+function matcherLabel(source) {
+  if (Object.hasOwn(PSEUDO_MATCHER_LABELS, source)) {
+    return PSEUDO_MATCHER_LABELS[source];
+  }
+  const regex = REGEX_LITERAL.exec(source);
+  const path = regex
+    ? regexLiteralText(regex[1])
+    : source
+        .split("/")
+        .filter((segment) => !/[*?]/.test(segment))
+        .join("/");
+  const label = path === null ? "" : path.replace(/^\/+|\/+$/g, "");
+  return label || null;
+}
+
+/**
+ * Work out the header label of every group, plus the implicit trailing one.
+ * A configured label wins; otherwise the label is derived from the matcher
+ * (see matcherLabel).
+ *
+ * @param {string[] | undefined} labels  solidityImportGroupLabels
+ * @param {string[] | undefined} groups  solidityImportGroups
+ * @param {string}               [split]  an InterfaceSplit value
+ * @returns {string[]}  one label per group, then the trailing group's
+ * @throws when a group has neither a configured nor a derivable label
+ */
+function groupLabels(labels, groups, split) {
+  const list = groups && groups.length > 0 ? groups : defaultLayout(split);
+  const configured = (i) => (labels && labels[i] ? labels[i].trim() : "");
+  return [
+    ...list.map((source, i) => {
+      const label = configured(i) || matcherLabel(source);
+      if (!label) {
+        throw new Error(
+          `Cannot derive a header label from the solidityImportGroups matcher ` +
+            `${JSON.stringify(source)}. Set it in solidityImportGroupLabels.`,
+        );
+      }
+      return label;
+    }),
+    configured(list.length) || UNMATCHED_GROUP_LABEL,
+  ];
+}
+
+/**
+ * Compile one `solidityInterfacePatterns` entry into a path test.
+ *
+ * Accepted forms:
+ *   "/\\/I[A-Z]\\w*\\.sol$/"   regular expression (slash-delimited, flags optional)
+ *   "lib/*-interfaces/**"      glob
+ *   "interfaces"               name without wildcards: an exact path segment
+ *
+ * @param {string} source
+ * @returns {(importPath: string) => boolean}
+ */
+function compileInterfacePattern(source) {
+  const regex = regexLiteral(source, "solidityInterfacePatterns entry");
+  if (regex) return (importPath) => regex.test(importPath);
+  if (/[*?]/.test(source)) {
+    const re = globToRegExp(source);
+    return (importPath) => re.test(importPath);
+  }
+  return (importPath) => importPath.split("/").includes(source);
+}
+
+/**
+ * Build the test that decides whether an import is an interface.
+ *
+ * Without configuration, an import is an interface when a segment of its
+ * (remapped) path contains "interfaces". Otherwise it is one when its path
+ * matches one of `patterns`, or its file name without `.sol` matches the
+ * `fileNames` regular expression (e.g. "^I[A-Z]" for IVault.sol).
+ *
+ * @param {{ patterns?: string[], fileNames?: string }} [options]
+ * @returns {(importPath: string, target: string) => boolean}  `target` is the
+ *   remapped path when a remapping applies, otherwise the import path
+ */
+function interfaceDetector({ patterns = [], fileNames = "" } = {}) {
+  if (patterns.length === 0 && fileNames === "") {
+    return (_, target) =>
+      target.split("/").some((segment) => segment.includes("interfaces"));
+  }
+
+  const tests = patterns.map(compileInterfacePattern);
+  let fileName = null;
+  if (fileNames !== "") {
+    try {
+      fileName = new RegExp(fileNames);
+    } catch (error) {
+      throw new Error(
+        `Invalid solidityInterfaceFileNames ${JSON.stringify(fileNames)}: ${error.message}`,
+      );
+    }
+  }
+
+  return (importPath, target) => {
+    const name = target
+      .slice(target.lastIndexOf("/") + 1)
+      .replace(/\.sol$/, "");
+    return (
+      (fileName !== null && fileName.test(name)) ||
+      tests.some((test) => test(importPath) || test(target))
+    );
+  };
+}
+
+/**
+ * Find the group an import belongs to. The first non-catch-all matcher in list
+ * order wins; otherwise the first catch-all receives it. An import matching
+ * nothing lands in an implicit trailing group (index `groups.length`).
+ *
+ * @param {string}        importPath
+ * @param {PathTraits}    traits
+ * @param {GroupMatcher[]} groups
+ * @returns {{ index: number, matcher: GroupMatcher | null }}  zero-based index
+ */
+function matchGroup(importPath, traits, groups) {
+  let catchAll = -1;
+  for (let i = 0; i < groups.length; i++) {
+    if (groups[i].catchAll) {
+      if (catchAll === -1) catchAll = i;
+      continue;
+    }
+    if (groups[i].test(importPath, traits)) {
+      return { index: i, matcher: groups[i] };
+    }
+  }
+  if (catchAll !== -1) return { index: catchAll, matcher: groups[catchAll] };
+  return { index: groups.length, matcher: null };
+}
+
+module.exports = {
+  DEFAULT_GROUP_LABELS,
+  DEFAULT_IMPORT_GROUPS,
+  InterfaceSplit,
+  PseudoMatcher,
+  SPLIT_INTERFACE_GROUPS,
+  compileGroups,
+  compileMatcher,
+  globToRegExp,
+  groupLabels,
+  interfaceDetector,
+  matchGroup,
+};
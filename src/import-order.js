@@ -0,0 +1,154 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+"use strict";
+
+/**
+ * Orders of the imports within a group (`solidityImportOrder`).
+ *
+ * LENGTH – descending path length, alphabetical on ties
+ * ALPHABETICAL – by path, comparing characters exactly ("B" before "a")
+ * NATURAL – by path, ignoring case and comparing digit runs as numbers
+ *           ("v2" before "v10")
+ * PACKAGE – by package ("@scope/name" or the first segment; relative imports
+ *           by their leading ./ or ../ steps), then shallower paths first,
+ *           then naturally
+ */
+const ImportOrder = {
+  LENGTH: "length",
+  ALPHABETICAL: "alphabetical",
+  NATURAL: "natural",
+  PACKAGE: "package",
+};
+
+/**
+ * Where bare imports (`import "x.sol";`) go relative to specific ones
+ * (`import {A} from "x.sol";`) within a group (`solidityImportKindOrder`).
+ *
+ * SPECIFIC_FIRST – specific imports, then bare ones
+ * BARE_FIRST – bare imports, then specific ones
+ * MIXED – no split: ordered by path alone
+ */
+const KindOrder = {
+  SPECIFIC_FIRST: "specific-first",
+  BARE_FIRST: "bare-first",
+  MIXED: "mixed",
+};
+
+/**
+ * The fields of an import that ordering looks at.
+ *
+ * @typedef {{ path: string, specific: boolean }} Orderable
+ */
+
+/**
+ * Code point comparison, independent of the locale.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function byCodePoint(a, b) {
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+}
+
+const naturalCollator = new Intl.Collator("en", {
+  numeric: true,
+  sensitivity: "base",
+});
+
+/**
+ * Case-insensitive, numeric-aware comparison, falling back to code points so
+ * that the order is total.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function byNatural(a, b) {
+  return naturalCollator.compare(a, b) || byCodePoint(a, b);
+}
+
+/**
+ * Split an import path into its package and the depth of the file below it.
+ *
+ *   "@openzeppelin/contracts/token/ERC20.sol" → "@openzeppelin/contracts", 2
+ *   "forge-std/Test.sol"                       → "forge-std", 1
+ *   "../../lib/Math.sol"                       → "../../", 2
+ *
+ * @param {string} importPath
+ * @returns {{ name: string, depth: number }}
+ */
+function packageOf(importPath) {
+  const relative = /^(?:\.\.?\/)+/.exec(importPath);
+  if (relative) {
+    const rest = importPath.slice(relative[0].length).split("/");
+    return { name: relative[0], depth: rest.length };
+  }
+  const segments = importPath.split("/");
+  const length = importPath.startsWith("@") ? 2 : 1;
+  return {
+    name: segments.slice(0, length).join("/"),
+    depth: segments.length - length,
+  };
+}
+
+/** Path comparators, by ImportOrder. */
+const pathComparators = {
+  [ImportOrder.LENGTH]: (a, b) =>
+    b.length - a.length || a.localeCompare(b) || byCodePoint(a, b),
+  [ImportOrder.ALPHABETICAL]: byCodePoint,
+  [ImportOrder.NATURAL]: byNatural,
+  [ImportOrder.PACKAGE]: (a, b) => {
+    const x = packageOf(a);
+    const y = packageOf(b);
+    return byNatural(x.name, y.name) || x.depth - y.depth || byNatural(a, b);
+  },
+};
+
+/**
+ * Throw for a value that is not one of `allowed`.
+ *
+ * @param {string}   option
+ * @param {string}   value
+ * @param {object}   allowed
+ */
+function checkChoice(option, value, allowed) {
+  if (!Object.values(allowed).includes(value)) {
+    throw new Error(
+      `Unknown ${option} ${JSON.stringify(value)}. ` +
+        `Expected one of: ${Object.values(allowed).join(", ")}`,
+    );
+  }
+}
+
+/**
+ * Build the comparator that orders the imports of one group.
+ *
+ * @param {string} [order]      an ImportOrder value
+ * @param {string} [kindOrder]  a KindOrder value
+ * @returns {(a: Orderable, b: Orderable) => number}
+ */
+function importComparator(
+  order = ImportOrder.LENGTH,
+  kindOrder = KindOrder.SPECIFIC_FIRST,
+) {
+  checkChoice("solidityImportOrder", order, ImportOrder);
+  checkChoice("solidityImportKindOrder", kindOrder, KindOrder);
+
+  const byPath = pathComparators[order];
+  // Which kind comes first, or null for no split.
+  const first =
+    kindOrder === KindOrder.MIXED
+      ? null
+      : kindOrder === KindOrder.SPECIFIC_FIRST;
+
+  return (a, b) => {
+    if (first !== null && a.specific !== b.specific) {
+      return a.specific === first ? -1 : 1;
+    }
+    return byPath(a.path, b.path);
+  };
+}
+
+module.exports = { ImportOrder, KindOrder, importComparator, packageOf };
@@ -0,0 +1,239 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+"use strict";
+
+const path = require("path");
+const { parseImportDirective } = require("./import-directive");
+const { findPackageDir, findWorkspaceLayout } = require("./workspaces");
+
+/**
+ * How import paths are spelled (`solidityImportPathStyle`).
+ *
+ * PRESERVE – as written
+ * BY_PACKAGE – relative within the formatted file's own package, package or
+ *              remapped paths across package boundaries
+ */
+const ImportPathStyle = {
+  PRESERVE: "preserve",
+  BY_PACKAGE: "by-package",
+};
+
+/**
+ * A directory that non-relative imports starting with `prefix` resolve to:
+ * a workspace package (`@org/vault/` → packages/vault) or a remapping.
+ *
+ * @typedef {{ prefix: string, dir: string }} PackageRoot
+ */
+
+/**
+ * Returns true for an import path the compiler resolves against the
+ * importing file (`./x.sol`, `../x.sol`).
+ *
+ * @param {string} importPath
+ * @returns {boolean}
+ */
+function isRelativePath(importPath) {
+  return importPath.startsWith("./") || importPath.startsWith("../");
+}
+
+/**
+ * Normalize a relative import path the way the compiler does before
+ * resolving it: duplicate slashes are squashed, `.` segments dropped and
+ * `..` segments applied to the segment before them.
+ *
+ *   "./a/../b//X.sol" → "./b/X.sol"
+ *   "./../lib/X.sol"  → "../lib/X.sol"
+ *
+ * Direct imports (`@oz/contracts/X.sol`) are returned unchanged: the compiler
+ * uses them as written, so `@oz//X.sol` and `@oz/X.sol` may name different
+ * source units.
+ *
+ * @param {string} importPath
+ * @returns {string}
+ */
+function normalizeImportPath(importPath) {
+  if (!isRelativePath(importPath)) return importPath;
+
+  const segments = [];
+  for (const segment of importPath.split("/")) {
+    if (segment === "" || segment === ".") continue;
+    if (
+      segment === ".." &&
+      segments.length > 0 &&
+      segments[segments.length - 1] !== ".."
+    ) {
+      segments.pop();
+    } else {
+      segments.push(segment);
+    }
+  }
+  const joined = segments.join("/");
+  return segments[0] === ".." ? joined : `./${joined}`;
+}
+
+/**
+ * Convert a platform path to forward slashes.
+ *
+ * @param {string} file
+ * @returns {string}
+ */
+function toPosix(file) {
+  return file.split(path.sep).join("/");
+}
+
+/**
+ * Returns true when `file` is `dir` or below it.
+ *
+ * @param {string} dir   absolute
+ * @param {string} file  absolute
+ * @returns {boolean}
+ */
+function isInside(dir, file) {
+  const rel = path.relative(dir, file);
+  return !rel.startsWith("..") && !path.isAbsolute(rel);
+}
+
+/**
+ * Collect the package roots visible from `filepath`: the remappings that apply
+ * to it (directory remappings only, since a file remapping names no package),
+ * then the workspace packages.
+ *
+ * @param {string}                                    filepath  absolute
+ * @param {import("./remappings").Project | null}     project
+ * @returns {PackageRoot[]}
+ */
+function packageRoots(filepath, project) {
+  const roots = [];
+  if (project) {
+    const fromFile = toPosix(path.relative(project.root, filepath));
+    for (const r of project.remappings) {
+      if (r.context !== "" && !fromFile.startsWith(r.context)) continue;
+      if (!r.prefix.endsWith("/") || !r.target.endsWith("/")) continue;
+      roots.push({
+        prefix: r.prefix,
+        dir: path.resolve(project.root, r.target),
+      });
+    }
+  }
+  for (const pkg of findWorkspaceLayout(filepath)) {
+    roots.push({ prefix: `${pkg.name}/`, dir: pkg.dir });
+  }
+  return roots;
+}
+
+/**
+ * Build the function that respells import paths of the file at `filepath`
+ * in `style`, or null when paths are kept as written.
+ *
+ * With BY_PACKAGE, the file's package is the directory of its nearest
+ * package.json (or the remappings project root without one). A relative
+ * import leaving that package becomes the path of the most specific package
+ * root containing its target, or its path below node_modules; a package
+ * import whose target lies inside it becomes relative. Dependencies under
+ * the project's lib directories or with a package.json of their own are
+ * never considered part of it. Imports that cannot be resolved are kept.
+ *
+ * @param {string | undefined}                     style     an ImportPathStyle value
+ * @param {string | undefined}                     filepath  the file being formatted
+ * @param {import("./remappings").Project | null}  project
+ * @returns {((importPath: string) => string) | null}
+ */
+function importPathConverter(
+  style = ImportPathStyle.PRESERVE,
+  filepath,
+  project,
+) {
+  if (!Object.values(ImportPathStyle).includes(style)) {
+    throw new Error(
+      `Unknown solidityImportPathStyle ${JSON.stringify(style)}. ` +
+        `Expected one of: ${Object.values(ImportPathStyle).join(", ")}`,
+    );
+  }
+  if (style === ImportPathStyle.PRESERVE || !filepath) return null;
+
+  const file = path.resolve(filepath);
+  const fileDir = path.dirname(file);
+  const packageDir = findPackageDir(file) ?? (project ? project.root : null);
+  const libs = project
+    ? project.libs.map((lib) => path.resolve(project.root, lib))
+    : [];
+  const roots = packageRoots(file, project);
+
+  const inOwnPackage = (target) =>
+    packageDir !== null &&
+    isInside(packageDir, target) &&
+    !toPosix(path.relative(packageDir, target)).includes("node_modules/") &&
+    !libs.some((lib) => isInside(lib, target)) &&
+    (findPackageDir(target) ?? packageDir) === packageDir;
+
+  return (importPath) => {
+    if (isRelativePath(importPath)) {
+      const target = path.resolve(fileDir, importPath);
+      if (inOwnPackage(target)) return importPath;
+
+      const nodeModules = /(?:^|\/)node_modules\/(.+)$/.exec(toPosix(target));
+      if (nodeModules) return nodeModules[1];
+      let best = null;
+      for (const root of roots) {
+        if (!isInside(root.dir, target)) continue;
+        if (best === null || root.dir.length > best.dir.length) best = root;
+      }
+      return best === null
+        ? importPath
+        : best.prefix + toPosix(path.relative(best.dir, target));
+    }
+
+    let best = null;
+    for (const root of roots) {
+      if (!importPath.startsWith(root.prefix)) continue;
+      if (best === null || root.prefix.length > best.prefix.length) best = root;
+    }
+    if (best === null) return importPath;
+    const target = path.join(best.dir, importPath.slice(best.prefix.length));
+    if (!inOwnPackage(target)) return importPath;
+    const rel = toPosix(path.relative(fileDir, target));
+    return rel.startsWith("../") ? rel : `./${rel}`;
+  };
+}
+
+/**
+ * Rewrite the path literal of an import statement: respell it with
+ * `convert`, normalize it and put it in `quote`. A literal with a prefix, an escape sequence or a quote inside is
+ * left as written, since rewriting it could change the path it spells.
+ *
+ * @param {string}                                importText
+ * @param {'"' | "'"}                             quote
+ * @param {((importPath: string) => string) | null} [convert]  see
+ *   importPathConverter
+ * @returns {{ text: string, path: string | null }}  the statement, and the
+ *   path it now imports (null when it is not an import directive)
+ */
+function rewriteImportPath(importText, quote, convert = null) {
+  const directive = parseImportDirective(importText);
+  if (directive === null) return { text: importText, path: null };
+
+  const { path: value, pathStart, pathEnd } = directive;
+  const literal = importText.slice(pathStart, pathEnd);
+  if (!/^(["'])[^"'\\]*\1$/.test(literal)) {
+    return { text: importText, path: value };
+  }
+
+  const importPath = normalizeImportPath(convert ? convert(value) : value);
+  return {
+    text:
+      importText.slice(0, pathStart) +
+      quote +
+      importPath +
+      quote +
+      importText.slice(pathEnd),
+    path: importPath,
+  };
+}
+
+module.exports = {
+  ImportPathStyle,
+  importPathConverter,
+  isRelativePath,
+  normalizeImportPath,
+  rewriteImportPath,
+};
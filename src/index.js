@@ -2,7 +2,12 @@
 
 "use strict";
 
-const { sortImports } = require("./sort-imports");
+const { applyEdits, renderEdits } = require("./edits");
+const {
+  analyzeImports,
+  importEdits,
+  sortImportsWithCursor,
+} = require("./sort-imports");
 
 // ── Prettier plugin API ───────────────────────────────────────────────────────
 //
@@ -14,61 +19,371 @@ const { sortImports } = require("./sort-imports");
 // Because we only need to reorder imports (a text-level transformation) we use
 // a trivial "identity" AST so that the printer can simply return the transformed
 // source without Prettier ever needing a real Solidity parser.
+//
+// When prettier-plugin-solidity is installed we compose with it instead: its
+// parsers are re-exported under the same names with a `preprocess` step that
+// sorts the imports, and its printers do the actual formatting. List this
+// plugin after prettier-plugin-solidity so its wrapped parsers take precedence.
 
 const options = {
   solidityFirstPartyScope: {
     type: "string",
+    // Also accept the scopes as an array, e.g. in a .prettierrc.
+    exception: (value) =>
+      Array.isArray(value) && value.every((v) => typeof v === "string"),
     category: "Solidity",
     default: "@balancer-labs",
     description:
-      "The npm scope (or package prefix) that identifies first-party / monorepo packages. " +
-      "Imports under this scope are split into 'first-party interfaces' " +
+      "The npm scope(s) (or package prefixes) that identify first-party / monorepo packages, " +
+      "comma-separated or as an array. Imports under these are split into 'first-party interfaces' " +
       "(path contains /interfaces/) and 'first-party packages'. " +
       "Everything else is treated as third-party. " +
-      "Example: '@my-org'",
+      "'auto' adds the names of the workspace packages declared by the nearest " +
+      "package.json with a 'workspaces' field. " +
+      "Example: '@my-org, @my-org-labs, auto'",
+  },
+  solidityRemappings: {
+    type: "boolean",
+    category: "Solidity",
+    default: true,
+    description:
+      "Resolve import paths through the remappings in the nearest remappings.txt / " +
+      "foundry.toml before classifying them, so a remapped alias pointing into the " +
+      "project's own sources is treated as first-party.",
+  },
+  solidityImportGroups: {
+    type: "string",
+    array: true,
+    category: "Solidity",
+    default: [{ value: [] }],
+    description:
+      "Ordered list of import groups, one matcher per group: a glob " +
+      "('@openzeppelin/**'), a regex ('/^forge-std\\//'), '*' for everything " +
+      "not matched elsewhere, or one of '<relative>', '<relative-interfaces>', " +
+      "'<first-party>', '<first-party-interfaces>', '<third-party-interfaces>'. " +
+      "Default: ['*', '<first-party-interfaces>', '<first-party>', '<relative>']",
+  },
+  solidityInterfacePatterns: {
+    type: "string",
+    array: true,
+    category: "Solidity",
+    default: [{ value: [] }],
+    description:
+      "Path patterns that mark an import as an interface: a glob ('lib/*-interfaces/**'), " +
+      "a regex ('/\\/I[A-Z]\\w*\\.sol$/') or a name matching one path segment " +
+      "('interfaces'). Tested against the import path and its remapped target. " +
+      "When neither this nor solidityInterfaceFileNames is set, any path segment " +
+      "containing 'interfaces' marks an interface.",
+  },
+  solidityInterfaceFileNames: {
+    type: "string",
+    category: "Solidity",
+    default: "",
+    description:
+      "Regex tested against the imported file name without '.sol' to mark interfaces, " +
+      "e.g. '^I[A-Z]' for IVault.sol.",
+  },
+  solidityInterfaceSplit: {
+    type: "choice",
+    category: "Solidity",
+    default: "first-party",
+    description:
+      "Which imports the default groups split into interfaces and implementations.",
+    choices: [
+      {
+        value: "first-party",
+        description: "First-party imports only.",
+      },
+      {
+        value: "all",
+        description:
+          "Third-party, first-party and relative imports, each with its interfaces first.",
+      },
+    ],
+  },
+  solidityImportPathStyle: {
+    type: "choice",
+    category: "Solidity",
+    default: "preserve",
+    description:
+      "How import paths are spelled, using the file's package.json, the workspace " +
+      "packages and the remappings to resolve them.",
+    choices: [
+      { value: "preserve", description: "As written." },
+      {
+        value: "by-package",
+        description:
+          "Relative within the file's own package, package or remapped paths " +
+          "across package boundaries.",
+      },
+    ],
+  },
+  solidityImportOrder: {
+    type: "choice",
+    category: "Solidity",
+    default: "length",
+    description: "How imports are ordered within a group.",
+    choices: [
+      {
+        value: "length",
+        description: "Longest path first, alphabetical on ties.",
+      },
+      {
+        value: "alphabetical",
+        description: "By path, case-sensitive.",
+      },
+      {
+        value: "natural",
+        description:
+          "By path, case-insensitive, with numbers compared by value (v2 before v10).",
+      },
+      {
+        value: "package",
+        description:
+          "By package, then shallower paths first, then natural order.",
+      },
+    ],
+  },
+  solidityImportKindOrder: {
+    type: "choice",
+    category: "Solidity",
+    default: "specific-first",
+    description:
+      'Where bare imports (import "x.sol";) go relative to imports that name ' +
+      "symbols, within a group.",
+    choices: [
+      {
+        value: "specific-first",
+        description: "Imports that name symbols first, then bare imports.",
+      },
+      { value: "bare-first", description: "Bare imports first." },
+      { value: "mixed", description: "No split: ordered by path alone." },
+    ],
+  },
+  solidityImportGroupHeaders: {
+    type: "boolean",
+    category: "Solidity",
+    default: false,
+    description:
+      "Start every non-empty import group with a '// <label>' header comment. " +
+      "Headers generated earlier are recognized by their label and replaced, " +
+      "so re-formatting never duplicates them.",
+  },
+  solidityBlankLinesBetweenGroups: {
+    type: "int",
+    category: "Solidity",
+    default: 1,
+    range: { start: 0, end: Infinity, step: 1 },
+    description: "Blank lines between import groups.",
+  },
+  solidityBlankLinesBeforeImports: {
+    type: "int",
+    category: "Solidity",
+    default: 1,
+    range: { start: -1, end: Infinity, step: 1 },
+    description:
+      "Blank lines between the header (license, pragmas) and the imports. " +
+      "-1 keeps the blank lines the file already has there.",
+  },
+  solidityBlankLinesAfterImports: {
+    type: "int",
+    category: "Solidity",
+    default: 1,
+    range: { start: -1, end: Infinity, step: 1 },
+    description:
+      "Blank lines between the imports and the code after them. " +
+      "-1 keeps the blank lines the file already has there.",
+  },
+  solidityImportGroupLabels: {
+    type: "string",
+    array: true,
+    category: "Solidity",
+    default: [{ value: [] }],
+    description:
+      "Header labels, one per entry of solidityImportGroups, then one for imports " +
+      "no group matched. Missing labels are derived from the matcher: " +
+      "'External', 'Interfaces', 'First-party', 'Local' and so on for " +
+      "pseudo-matchers, the literal path of a glob or regex, and 'Other'.",
+  },
+  soliditySortNamedImports: {
+    type: "boolean",
+    category: "Solidity",
+    default: false,
+    description:
+      "Alphabetize and deduplicate the symbols inside the braces of named imports " +
+      "(case-insensitive, aliases sorted by their original name).",
+  },
+  solidityRemoveUnusedImports: {
+    type: "boolean",
+    category: "Solidity",
+    default: false,
+    description:
+      "Remove symbols of named imports that are never used in the code after the " +
+      "imports, and imports left with no symbols. Bare and 'import * as' imports " +
+      "are never removed.",
+  },
+  solidityNameBareImports: {
+    type: "boolean",
+    category: "Solidity",
+    default: false,
+    description:
+      'Rewrite bare imports (import "x.sol";) into named imports of the symbols the ' +
+      "file uses, read from the imported file on local disk. Imports whose files " +
+      "cannot be resolved are left unchanged.",
+  },
+  solidityWrapNamedImports: {
+    type: "boolean",
+    category: "Solidity",
+    default: false,
+    description:
+      "Reflow named imports like prettier-plugin-solidity: on one line when they fit " +
+      "within printWidth, otherwise one symbol per line. Honors tabWidth, useTabs " +
+      "and bracketSpacing.",
   },
 };
 
-const parsers = {
-  "solidity-import-sorter": {
-    parse(text, _parsers, opts) {
-      // Store the transformed text in the AST so the printer can emit it.
-      const scope = opts.solidityFirstPartyScope ?? "@balancer-labs";
-      return {
-        type: "root",
-        // Run the sort at parse time so the printer is trivial.
-        body: sortImports(text, scope),
-        // Required by Prettier
-        start: 0,
-        end: text.length,
-      };
-    },
-    astFormat: "solidity-import-sorter-ast",
-    locStart(node) {
-      return node.start;
-    },
-    locEnd(node) {
-      return node.end;
-    },
+/**
+ * Sort the imports of text Prettier is formatting, as a parser `preprocess`
+ * step. Prettier has already removed any byte order mark and converted line
+ * endings to LF, and applies `endOfLine` and the BOM to the output itself, so
+ * the text stays LF here.
+ *
+ * Prettier reads `rangeStart`, `rangeEnd` and `cursorOffset` against the
+ * preprocessed text, so the cursor is moved along with the import it is on.
+ * Prettier's own range formatting only knows the syntax trees of its built-in
+ * languages and formats nothing for Solidity; the imports are sorted when the
+ * range overlaps them.
+ *
+ * @param {string} text
+ * @param {object} opts  Prettier options
+ * @returns {string}
+ */
+function sortForPrettier(text, opts) {
+  const { formatted, cursorOffset } = sortImportsWithCursor(text, {
+    ...opts,
+    endOfLine: "lf",
+  });
+  if (cursorOffset >= 0) opts.cursorOffset = cursorOffset;
+  return formatted;
+}
+
+const identityParser = {
+  // Sort before parsing so the AST spans the sorted text and Prettier maps
+  // the cursor against it.
+  preprocess: sortForPrettier,
+  parse(text) {
+    // Store the text in the AST so the printer can emit it.
+    return {
+      type: "root",
+      body: text,
+      // Required by Prettier
+      start: 0,
+      end: text.length,
+    };
+  },
+  astFormat: "solidity-import-sorter-ast",
+  locStart(node) {
+    return node.start;
+  },
+  locEnd(node) {
+    return node.end;
   },
 };
 
-const printers = {
-  "solidity-import-sorter-ast": {
-    print(path) {
-      return path.getValue().body;
-    },
+const identityPrinter = {
+  print(path) {
+    return path.getValue().body;
   },
 };
 
-// Tell Prettier which file extensions this plugin handles.
-const languages = [
-  {
-    name: "Solidity",
-    parsers: ["solidity-import-sorter"],
-    extensions: [".sol"],
-    vscodeLanguageIds: ["solidity"],
-  },
-];
+/**
+ * Wrap a prettier-plugin-solidity parser so the imports are sorted before it
+ * parses the text. Any `preprocess` step of its own still runs first.
+ *
+ * @param {object} parser
+ * @returns {object}
+ */
+function withSortedImports(parser) {
+  return {
+    ...parser,
+    preprocess(text, opts) {
+      const source = parser.preprocess ? parser.preprocess(text, opts) : text;
+      return sortForPrettier(source, opts);
+    },
+  };
+}
+
+/**
+ * Load prettier-plugin-solidity if it is installed and can be required. Its
+ * 1.x releases are CommonJS and expose the `solidity-parse` parser; anything
+ * that fails to load (not installed, or an ES-module-only release) means we
+ * fall back to the identity printer.
+ *
+ * @returns {object | null}
+ */
+function loadSolidityPlugin() {
+  try {
+    const plugin = require("prettier-plugin-solidity");
+    return plugin && plugin.parsers ? plugin : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build the plugin object, composing with `solidityPlugin` when given.
+ *
+ * @param {object | null} solidityPlugin  a loaded prettier-plugin-solidity
+ * @returns {{ languages: object[], parsers: object, printers: object, options: object, defaultOptions?: object }}
+ */
+function createPlugin(solidityPlugin) {
+  const parsers = { "solidity-import-sorter": identityParser };
+  const printers = { "solidity-import-sorter-ast": identityPrinter };
 
-module.exports = { languages, parsers, printers, options };
+  if (!solidityPlugin) {
+    return {
+      // Tell Prettier which file extensions this plugin handles.
+      languages: [
+        {
+          name: "Solidity",
+          parsers: ["solidity-import-sorter"],
+          extensions: [".sol"],
+          vscodeLanguageIds: ["solidity"],
+        },
+      ],
+      parsers,
+      printers,
+      options,
+    };
+  }
+
+  const delegated = Object.keys(solidityPlugin.parsers);
+  for (const name of delegated) {
+    parsers[name] = withSortedImports(solidityPlugin.parsers[name]);
+  }
+
+  return {
+    // .sol files go to the wrapped parser; the identity one stays selectable.
+    languages: [
+      {
+        name: "Solidity",
+        parsers: [...delegated, "solidity-import-sorter"],
+        extensions: [".sol"],
+        vscodeLanguageIds: ["solidity"],
+      },
+    ],
+    parsers,
+    printers: { ...printers, ...solidityPlugin.printers },
+    options: { ...solidityPlugin.options, ...options },
+    defaultOptions: solidityPlugin.defaultOptions,
+  };
+}
+
+module.exports = {
+  ...createPlugin(loadSolidityPlugin()),
+  analyzeImports,
+  applyEdits,
+  createPlugin,
+  importEdits,
+  renderEdits,
+};
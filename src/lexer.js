@@ -0,0 +1,187 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+"use strict";
+
+/**
+ * Token type enum.
+ *
+ * The lexer only distinguishes what the import sorter needs to reason about:
+ * comments and string literals (so that their contents are never mistaken for
+ * code), identifiers/keywords, numbers and single-character punctuation.
+ * Whitespace is skipped.
+ */
+const TokenType = {
+  COMMENT: "comment",
+  STRING: "string",
+  IDENTIFIER: "identifier",
+  NUMBER: "number",
+  PUNCTUATION: "punctuation",
+};
+
+/**
+ * A lexical token.
+ *
+ * `start`/`end` are character offsets into the source (end exclusive) and
+ * `line`/`endLine` are the zero-based lines on which the token starts and ends.
+ * For string tokens `value` is the raw literal including quotes and any
+ * `hex`/`unicode` prefix.
+ *
+ * @typedef {{
+ *   type: string,
+ *   value: string,
+ *   start: number,
+ *   end: number,
+ *   line: number,
+ *   endLine: number,
+ * }} Token
+ */
+
+const IDENTIFIER_START = /[A-Za-z_$]/;
+const IDENTIFIER_PART = /[A-Za-z0-9_$]/;
+const DIGIT = /[0-9]/;
+const NUMBER_PART = /[0-9A-Za-z_.]/;
+
+/** Prefixes that turn an immediately following string into a single literal. */
+const STRING_PREFIXES = new Set(["hex", "unicode"]);
+
+/**
+ * Returns the offset just past the closing quote of the string literal that
+ * opens at `start`. Strings cannot span lines in Solidity, so an unterminated
+ * literal ends at the line break (which is not consumed).
+ *
+ * @param {string} source
+ * @param {number} start  offset of the opening quote
+ * @returns {number}
+ */
+function scanString(source, start) {
+  const quote = source[start];
+  let i = start + 1;
+  while (i < source.length) {
+    const ch = source[i];
+    if (ch === "\\") {
+      i += 2;
+      continue;
+    }
+    if (ch === quote) return i + 1;
+    if (ch === "\n" || ch === "\r") return i;
+    i++;
+  }
+  return source.length;
+}
+
+/**
+ * Split Solidity source into tokens.
+ *
+ * Handles:
+ *   // line comments and /// NatSpec
+ *   /* block comments *\/ and /** NatSpec *\/ (an unterminated one runs to EOF)
+ *   "double" and 'single' quoted strings with backslash escapes
+ *   hex"..." and unicode"..." literals
+ *
+ * The lexer never throws: anything it does not recognise becomes a
+ * single-character punctuation token.
+ *
+ * @param {string} source
+ * @returns {Token[]}
+ */
+function tokenize(source) {
+  const tokens = [];
+  let line = 0;
+  let i = 0;
+
+  const push = (type, start, end) => {
+    const value = source.slice(start, end);
+    let endLine = line;
+    for (const ch of value) if (ch === "\n") endLine++;
+    tokens.push({ type, value, start, end, line, endLine });
+    line = endLine;
+  };
+
+  while (i < source.length) {
+    const ch = source[i];
+    const next = source[i + 1];
+
+    if (ch === "\n") {
+      line++;
+      i++;
+      continue;
+    }
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (ch === "/" && next === "/") {
+      let end = i + 2;
+      while (end < source.length && source[end] !== "\n") end++;
+      // A CRLF line ending is not part of the comment.
+      if (source[end - 1] === "\r") end--;
+      push(TokenType.COMMENT, i, end);
+      i = end;
+      continue;
+    }
+
+    if (ch === "/" && next === "*") {
+      const close = source.indexOf("*/", i + 2);
+      const end = close === -1 ? source.length : close + 2;
+      push(TokenType.COMMENT, i, end);
+      i = end;
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      const end = scanString(source, i);
+      push(TokenType.STRING, i, end);
+      i = end;
+      continue;
+    }
+
+    if (IDENTIFIER_START.test(ch)) {
+      let end = i + 1;
+      while (end < source.length && IDENTIFIER_PART.test(source[end])) end++;
+      const word = source.slice(i, end);
+      if (
+        STRING_PREFIXES.has(word) &&
+        (source[end] === '"' || source[end] === "'")
+      ) {
+        const stringEnd = scanString(source, end);
+        push(TokenType.STRING, i, stringEnd);
+        i = stringEnd;
+        continue;
+      }
+      push(TokenType.IDENTIFIER, i, end);
+      i = end;
+      continue;
+    }
+
+    if (DIGIT.test(ch)) {
+      let end = i + 1;
+      while (end < source.length && NUMBER_PART.test(source[end])) end++;
+      push(TokenType.NUMBER, i, end);
+      i = end;
+      continue;
+    }
+
+    push(TokenType.PUNCTUATION, i, i + 1);
+    i++;
+  }
+
+  return tokens;
+}
+
+/**
+ * Returns the contents of a string token without its quotes or prefix.
+ * Escape sequences are left as written.
+ *
+ * @param {Token} token
+ * @returns {string}
+ */
+function stringValue(token) {
+  const open = token.value.search(/["']/);
+  const quote = token.value[open];
+  const body = token.value.slice(open + 1);
+  return body.endsWith(quote) && body.length > 0 ? body.slice(0, -1) : body;
+}
+
+module.exports = { tokenize, stringValue, TokenType };
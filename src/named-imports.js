@@ -0,0 +1,355 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+"use strict";
+
+const { tokenize, TokenType } = require("./lexer");
+
+/**
+ * One entry of a `{ ... }` symbol list.
+ *
+ * `leading` holds comments on their own lines above the symbol, `trailing` a
+ * comment on the same line after it (or after its comma).
+ *
+ * @typedef {{
+ *   name: string,
+ *   alias: string | null,
+ *   leading: string[],
+ *   trailing: string | null,
+ * }} ImportSymbol
+ */
+
+/**
+ * The parsed braces of a named import, with enough layout information to
+ * print them back the way they were written.
+ *
+ * `open`/`close` are the offsets of `{` and `}` in the import text.
+ *
+ * @typedef {{
+ *   symbols: ImportSymbol[],
+ *   dangling: string[],
+ *   open: number,
+ *   close: number,
+ *   multiline: boolean,
+ *   spaced: boolean,
+ *   indent: string,
+ *   closeIndent: string | null,
+ *   trailingComma: boolean,
+ *   hasComments: boolean,
+ *   eol: string,
+ * }} NamedImports
+ */
+
+/**
+ * Returns the whitespace that starts the line containing `offset`, or null
+ * when something other than whitespace precedes `offset` on that line.
+ *
+ * @param {string} text
+ * @param {number} offset
+ * @returns {string | null}
+ */
+function indentBefore(text, offset) {
+  const lineStart = text.lastIndexOf("\n", offset - 1) + 1;
+  const prefix = text.slice(lineStart, offset);
+  return /^[ \t]*$/.test(prefix) ? prefix : null;
+}
+
+/**
+ * Parse the `{ ... }` list of a named import.
+ *
+ * Returns null when the import has no braces (bare and `* as X` imports) or
+ * the list contains something other than `Name` / `Name as Alias` entries.
+ *
+ * @param {string} importText  the import statement, without attached comments
+ * @returns {NamedImports | null}
+ */
+function parseNamedImports(importText) {
+  const tokens = tokenize(importText);
+  const code = tokens.filter((t) => t.type !== TokenType.COMMENT);
+  const openToken = code.find((t) => t.value === "{");
+  if (!openToken || code[0].value !== "import" || code[1] !== openToken) {
+    return null;
+  }
+  const closeToken = code.find(
+    (t) => t.value === "}" && t.start > openToken.start,
+  );
+  if (!closeToken) return null;
+
+  const inner = tokens.filter(
+    (t) => t.start > openToken.start && t.end <= closeToken.start,
+  );
+
+  const symbols = [];
+  let pending = [];
+  let current = null;
+  let last = null;
+  let lastLine = -1;
+  let hasComments = false;
+  let trailingComma = false;
+
+  const finish = () => {
+    if (current === null) return true;
+    const parts = current.parts;
+    const valid =
+      (parts.length === 1 || (parts.length === 3 && parts[1] === "as")) &&
+      parts.every((p, i) => i === 1 || /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(p));
+    if (!valid) return false;
+    symbols.push({
+      name: parts[0],
+      alias: parts.length === 3 ? parts[2] : null,
+      leading: current.leading,
+      trailing: current.trailing,
+    });
+    last = symbols[symbols.length - 1];
+    current = null;
+    return true;
+  };
+
+  for (const token of inner) {
+    if (token.type === TokenType.COMMENT) {
+      hasComments = true;
+      const target = current ?? last;
+      if (target && token.line === lastLine && target.trailing === null) {
+        target.trailing = token.value;
+      } else {
+        pending.push(token.value);
+      }
+      continue;
+    }
+
+    lastLine = token.endLine;
+    if (token.value === ",") {
+      if (current === null) return null;
+      if (!finish()) return null;
+      trailingComma = true;
+      continue;
+    }
+
+    trailingComma = false;
+    if (current === null) {
+      current = { parts: [], leading: pending, trailing: null };
+      pending = [];
+    }
+    current.parts.push(token.value);
+  }
+  if (!finish()) return null;
+
+  const firstSymbolToken = inner.find((t) => t.type !== TokenType.COMMENT);
+  const multiline = openToken.line !== closeToken.line;
+  const indent =
+    (firstSymbolToken && indentBefore(importText, firstSymbolToken.start)) ||
+    "    ";
+
+  return {
+    symbols,
+    dangling: pending,
+    open: openToken.start,
+    close: closeToken.start,
+    multiline,
+    spaced: /\s/.test(importText[openToken.start + 1]),
+    indent,
+    closeIndent: indentBefore(importText, closeToken.start),
+    trailingComma,
+    hasComments,
+    eol: importText.includes("\r\n") ? "\r\n" : "\n",
+  };
+}
+
+/**
+ * Returns the source text of one symbol, e.g. "C as D".
+ *
+ * @param {ImportSymbol} symbol
+ * @returns {string}
+ */
+function symbolText(symbol) {
+  return symbol.alias === null
+    ? symbol.name
+    : `${symbol.name} as ${symbol.alias}`;
+}
+
+/**
+ * Print a symbol list in the layout recorded in `list`: on one line for a
+ * single-line import, otherwise one symbol per line. A single-line list whose
+ * symbols carry comments is printed one per line so no comment is lost.
+ *
+ * @param {NamedImports} list
+ * @returns {string}  the text from `{` to `}` inclusive
+ */
+function printNamedImports(list) {
+  const hasComments =
+    list.dangling.length > 0 ||
+    list.symbols.some((s) => s.leading.length > 0 || s.trailing !== null);
+
+  // Comments only survive one symbol per line.
+  if (!list.multiline && hasComments) {
+    return printNamedImports({ ...list, multiline: true, closeIndent: "" });
+  }
+
+  if (!list.multiline) {
+    const pad = list.spaced && list.symbols.length > 0 ? " " : "";
+    return `{${pad}${list.symbols.map(symbolText).join(", ")}${pad}}`;
+  }
+
+  const lines = ["{"];
+  list.symbols.forEach((symbol, i) => {
+    for (const comment of symbol.leading) lines.push(list.indent + comment);
+    const comma = i < list.symbols.length - 1 || list.trailingComma ? "," : "";
+    const trailing = symbol.trailing === null ? "" : " " + symbol.trailing;
+    lines.push(list.indent + symbolText(symbol) + comma + trailing);
+  });
+  for (const comment of list.dangling) lines.push(list.indent + comment);
+
+  // Keep `}` on the last line as written, unless that line ends in a comment.
+  const lastLine = lines[lines.length - 1];
+  if (list.closeIndent === null && !/\/\/|\*\/\s*$/.test(lastLine)) {
+    lines[lines.length - 1] += " }";
+  } else {
+    lines.push((list.closeIndent ?? "") + "}");
+  }
+  return lines.join(list.eol);
+}
+
+/**
+ * Replace the braces of `importText` with a printed symbol list.
+ *
+ * @param {string}       importText
+ * @param {NamedImports} list  parsed from the same importText
+ * @returns {string}
+ */
+function replaceNamedImports(importText, list) {
+  return (
+    importText.slice(0, list.open) +
+    printNamedImports(list) +
+    importText.slice(list.close + 1)
+  );
+}
+
+/**
+ * Case-aware symbol order: case-insensitive by original name, uppercase
+ * before lowercase on ties (`Foo` before `foo`), then by alias.
+ *
+ * @param {ImportSymbol} a
+ * @param {ImportSymbol} b
+ * @returns {number}
+ */
+function bySymbolName(a, b) {
+  const x = a.name.toLowerCase();
+  const y = b.name.toLowerCase();
+  if (x !== y) return x < y ? -1 : 1;
+  if (a.name !== b.name) return a.name < b.name ? -1 : 1;
+  const aliasA = a.alias ?? "";
+  const aliasB = b.alias ?? "";
+  if (aliasA === aliasB) return 0;
+  return aliasA < aliasB ? -1 : 1;
+}
+
+/**
+ * Drop repeated symbols (same name and alias), keeping the first and moving
+ * the comments of the dropped copies onto it.
+ *
+ * @param {ImportSymbol[]} symbols
+ * @returns {ImportSymbol[]}
+ */
+function dedupeSymbols(symbols) {
+  const byKey = new Map();
+  for (const symbol of symbols) {
+    const key = symbolText(symbol);
+    const kept = byKey.get(key);
+    if (!kept) {
+      byKey.set(key, { ...symbol, leading: [...symbol.leading] });
+      continue;
+    }
+    kept.leading.push(...symbol.leading);
+    if (symbol.trailing !== null) {
+      if (kept.trailing === null) kept.trailing = symbol.trailing;
+      else kept.leading.push(symbol.trailing);
+    }
+  }
+  return [...byKey.values()];
+}
+
+/**
+ * Alphabetize and deduplicate the symbol list of a named import. Imports
+ * without braces, and single-line lists containing comments (which cannot be
+ * reprinted on one line safely), are returned unchanged.
+ *
+ * @param {string} importText  the import statement, without attached comments
+ * @returns {string}
+ */
+function sortNamedImports(importText) {
+  const list = parseNamedImports(importText);
+  if (list === null || (list.hasComments && !list.multiline)) {
+    return importText;
+  }
+  const symbols = dedupeSymbols(list.symbols).sort(bySymbolName);
+  return replaceNamedImports(importText, { ...list, symbols });
+}
+
+/**
+ * Prettier layout options used when wrapping.
+ *
+ * @typedef {{
+ *   printWidth: number,
+ *   tabWidth: number,
+ *   useTabs: boolean,
+ *   bracketSpacing: boolean,
+ * }} WrapOptions
+ */
+
+/**
+ * Reflow the symbol list of a named import the way prettier-plugin-solidity
+ * prints it: on one line when the statement fits within `printWidth`,
+ * otherwise one symbol per line, indented by one level, without a trailing
+ * comma. As there, a single symbol is never broken onto its own line. Lists
+ * carrying comments always get one symbol per line.
+ *
+ * The width is measured up to the terminating `;`; a trailing comment after
+ * it does not force a break.
+ *
+ * @param {string}      importText  the import statement, without attached comments
+ * @param {WrapOptions} options
+ * @returns {string}
+ */
+function wrapNamedImports(importText, options) {
+  const list = parseNamedImports(importText);
+  if (list === null || list.symbols.length === 0) return importText;
+
+  const flat = {
+    ...list,
+    multiline: false,
+    spaced: options.bracketSpacing,
+    trailingComma: false,
+  };
+  const hasComments =
+    list.dangling.length > 0 ||
+    list.symbols.some((s) => s.leading.length > 0 || s.trailing !== null);
+
+  if (!hasComments) {
+    const candidate = replaceNamedImports(importText, flat);
+    const semicolon = tokenize(candidate).find(
+      (t) => t.type === TokenType.PUNCTUATION && t.value === ";",
+    );
+    const statement = candidate.slice(0, semicolon ? semicolon.end : undefined);
+    const width = Math.max(...statement.split("\n").map((l) => l.length));
+    if (width <= options.printWidth || list.symbols.length === 1) {
+      return candidate;
+    }
+  }
+
+  return replaceNamedImports(importText, {
+    ...flat,
+    multiline: true,
+    indent: options.useTabs ? "\t" : " ".repeat(options.tabWidth),
+    closeIndent: "",
+  });
+}
+
+module.exports = {
+  bySymbolName,
+  dedupeSymbols,
+  parseNamedImports,
+  printNamedImports,
+  replaceNamedImports,
+  sortNamedImports,
+  symbolText,
+  wrapNamedImports,
+};
@@ -0,0 +1,275 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const { fileCache } = require("./file-cache");
+
+/** Files that mark a Foundry / Hardhat project root and carry remappings. */
+const REMAPPINGS_FILE = "remappings.txt";
+const FOUNDRY_CONFIG_FILE = "foundry.toml";
+
+/** Foundry's default library directory when foundry.toml does not set `libs`. */
+const DEFAULT_LIBS = ["lib"];
+
+/**
+ * Directory → the project rooted there, or null when it has no remappings
+ * file. Kept until one of the files changes.
+ */
+const cached = fileCache();
+
+/**
+ * A single remapping, `[context:]prefix=target`.
+ *
+ * @typedef {{ context: string, prefix: string, target: string }} Remapping
+ */
+
+/**
+ * The remapping configuration of a project.
+ *
+ * @typedef {{ root: string, remappings: Remapping[], libs: string[] }} Project
+ */
+
+/**
+ * Parse one remapping entry, or return null when it is malformed.
+ *
+ * @param {string} entry  e.g. "@oz/=lib/openzeppelin-contracts/"
+ * @returns {Remapping | null}
+ */
+function parseRemapping(entry) {
+  const eq = entry.indexOf("=");
+  if (eq <= 0) return null;
+  const lhs = entry.slice(0, eq).trim();
+  const target = entry.slice(eq + 1).trim();
+  const colon = lhs.indexOf(":");
+  const context = colon === -1 ? "" : lhs.slice(0, colon);
+  const prefix = colon === -1 ? lhs : lhs.slice(colon + 1);
+  if (prefix === "" || target === "") return null;
+  return { context, prefix, target };
+}
+
+/**
+ * Parse the contents of a remappings.txt file: one remapping per line, blank
+ * lines and `#` comments ignored.
+ *
+ * @param {string} text
+ * @returns {Remapping[]}
+ */
+function parseRemappingsTxt(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line !== "" && !line.startsWith("#"))
+    .map(parseRemapping)
+    .filter((r) => r !== null);
+}
+
+/**
+ * Returns the string elements of a TOML array literal body.
+ *
+ * @param {string} body  text between the brackets
+ * @returns {string[]}
+ */
+function tomlStrings(body) {
+  return [...body.matchAll(/"((?:[^"\\]|\\.)*)"|'([^']*)'/g)].map(
+    (m) => m[1] ?? m[2],
+  );
+}
+
+/**
+ * Extract `remappings` and `libs` from foundry.toml.
+ *
+ * Only the keys Foundry reads for the default profile are considered: those
+ * at the top level or in `[profile.default]`. This is not a general TOML
+ * parser; arrays may span several lines and contain `#` comments.
+ *
+ * @param {string} text
+ * @returns {{ remappings: Remapping[], libs: string[] | null }}
+ */
+function parseFoundryToml(text) {
+  const result = { remappings: [], libs: null };
+  const lines = text.split(/\r?\n/);
+  let section = "";
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].replace(/^\s+/, "");
+
+    const header = /^\[([^\]]+)\]/.exec(line);
+    if (header) {
+      section = header[1].trim();
+      continue;
+    }
+    if (section !== "" && section !== "profile.default") continue;
+
+    const key = /^(remappings|libs)\s*=\s*\[/.exec(line);
+    if (!key) continue;
+
+    // Collect the array body, which may continue over following lines.
+    const stripComment = (l) => l.replace(/#.*$/, "");
+    let body = stripComment(line.slice(key[0].length));
+    while (!body.includes("]") && i + 1 < lines.length) {
+      body += "\n" + stripComment(lines[++i]);
+    }
+    const values = tomlStrings(body.slice(0, body.indexOf("]")));
+
+    if (key[1] === "remappings") {
+      result.remappings = values.map(parseRemapping).filter((r) => r !== null);
+    } else {
+      result.libs = values;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Read a file, returning null when it does not exist or cannot be read.
+ *
+ * @param {string} file
+ * @returns {string | null}
+ */
+function readText(file) {
+  try {
+    return fs.readFileSync(file, "utf8");
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Load the project rooted at `dir` from its remappings.txt and foundry.toml,
+ * or return null when it has neither.
+ *
+ * @param {string} dir
+ * @returns {Project | null}
+ */
+function projectAt(dir) {
+  const txtFile = path.join(dir, REMAPPINGS_FILE);
+  const tomlFile = path.join(dir, FOUNDRY_CONFIG_FILE);
+  return cached(dir, () => {
+    const txt = readText(txtFile);
+    const toml = readText(tomlFile);
+    if (txt === null && toml === null) {
+      return { value: null, files: [txtFile, tomlFile] };
+    }
+    const foundry = toml !== null ? parseFoundryToml(toml) : null;
+    const project = {
+      root: dir,
+      // foundry.toml remappings take precedence over remappings.txt: on a
+      // tie, resolveRemapping picks the later entry.
+      remappings: [
+        ...(txt !== null ? parseRemappingsTxt(txt) : []),
+        ...(foundry ? foundry.remappings : []),
+      ],
+      libs: (foundry && foundry.libs) || DEFAULT_LIBS,
+    };
+    return { value: project, files: [txtFile, tomlFile] };
+  });
+}
+
+/**
+ * Find the nearest directory at or above the formatted file that contains a
+ * remappings.txt or foundry.toml, and load the remappings from both.
+ * Everything is read from local disk; results are cached per directory until
+ * those files change.
+ *
+ * @param {string | undefined} filepath  the file being formatted
+ * @returns {Project | null}
+ */
+function loadProject(filepath) {
+  if (!filepath) return null;
+
+  let dir = path.dirname(path.resolve(filepath));
+  for (;;) {
+    const project = projectAt(dir);
+    if (project) return project;
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Resolve an import path through the project's remappings. As in solc, the
+ * longest matching context wins, then the longest prefix; on a full tie the
+ * later entry. A remapping with a context only applies to files under that
+ * context directory.
+ *
+ * @param {string}             importPath
+ * @param {Project}            project
+ * @param {string | undefined} filepath  the file being formatted
+ * @returns {string | null}  target path relative to the project root, or null
+ *   when no remapping applies
+ */
+function resolveRemapping(importPath, project, filepath) {
+  const fromFile = filepath
+    ? path
+        .relative(project.root, path.resolve(filepath))
+        .split(path.sep)
+        .join("/")
+    : "";
+
+  let best = null;
+  for (const r of project.remappings) {
+    if (!importPath.startsWith(r.prefix)) continue;
+    if (r.context !== "" && !fromFile.startsWith(r.context)) continue;
+    if (
+      best === null ||
+      r.context.length > best.context.length ||
+      (r.context.length === best.context.length &&
+        r.prefix.length >= best.prefix.length)
+    ) {
+      best = r;
+    }
+  }
+  if (best === null) return null;
+
+  const resolved = best.target + importPath.slice(best.prefix.length);
+  return path.posix.normalize(resolved).replace(/^\.\//, "");
+}
+
+/**
+ * Describe where a resolved remapping target lives.
+ *
+ *   { location: "package", packagePath }  inside node_modules — packagePath is
+ *                                          the npm-style path after node_modules/
+ *   { location: "library" }               inside a Foundry lib directory or
+ *                                          outside the project root
+ *   { location: "project" }               the project's own sources
+ *
+ * @param {string}  resolved  result of resolveRemapping
+ * @param {Project} project
+ * @returns {{ location: "package" | "library" | "project", packagePath?: string }}
+ */
+function locateTarget(resolved, project) {
+  const nodeModules = /(?:^|\/)node_modules\/(.+)$/.exec(resolved);
+  if (nodeModules) return { location: "package", packagePath: nodeModules[1] };
+
+  const underLib = project.libs.some((lib) => {
+    const dir = path.posix
+      .normalize(lib)
+      .replace(/^\.\//, "")
+      .replace(/\/$/, "");
+    return resolved === dir || resolved.startsWith(dir + "/");
+  });
+  if (
+    underLib ||
+    resolved.startsWith("../") ||
+    path.posix.isAbsolute(resolved)
+  ) {
+    return { location: "library" };
+  }
+  return { location: "project" };
+}
+
+module.exports = {
+  loadProject,
+  locateTarget,
+  parseFoundryToml,
+  parseRemapping,
+  parseRemappingsTxt,
+  resolveRemapping,
+};
@@ -2,9 +2,38 @@
 
 "use strict";
 
+const { nameBareImport } = require("./bare-imports");
+const { mapOffset } = require("./cursor");
+const { computeEdits } = require("./edits");
+const {
+  compileGroups,
+  groupLabels,
+  interfaceDetector,
+  matchGroup,
+} = require("./import-groups");
+const { ImportKind, parseImportDirective } = require("./import-directive");
+const { importComparator } = require("./import-order");
+const { importPathConverter, rewriteImportPath } = require("./import-paths");
+const { tokenize, stringValue, TokenType } = require("./lexer");
+const {
+  dedupeSymbols,
+  parseNamedImports,
+  replaceNamedImports,
+  sortNamedImports,
+  wrapNamedImports,
+} = require("./named-imports");
+const { loadProject, locateTarget, resolveRemapping } = require("./remappings");
+const { pruneNamedImport, usedIdentifiers } = require("./unused-imports");
+const { findWorkspacePackages } = require("./workspaces");
+
+const DEFAULT_FIRST_PARTY_SCOPE = "@balancer-labs";
+
+/** Scope entry that expands to the package names of the enclosing workspace. */
+const AUTO_SCOPE = "auto";
+
 /**
- * Import group classification enum.
- * Groups are processed in this numeric order (1, 2, 3, 4).
+ * One-based group numbers of the default `solidityImportGroups` layout.
+ * With a custom layout, group N is simply the N-th configured matcher.
  */
 const ImportGroup = {
   EXTERNAL_DEPENDENCIES: 1,
@@ -14,18 +43,26 @@ const ImportGroup = {
 };
 
 /**
- * Extracts the quoted path from an import statement (single- or multi-line).
- * Always uses the LAST quoted string in the statement — that is always the
- * module path, even when symbol names appear on earlier lines.
+ * Extracts the module path from an import statement (single- or multi-line),
+ * with escape sequences decoded. Comments anywhere in the statement are
+ * ignored, so a trailing comment quoting another file does not matter.
  *
- * Handles:
+ * Text that is not exactly one import directive (such as two imports on one
+ * line) falls back to its last string literal outside comments.
+ *
+ * Handles every form of parseImportDirective:
  *   import "path";
- *   import { Foo } from "path";
- *   import {\n    Foo,\n    Bar\n} from "path";
+ *   import "path" as Unit;
+ *   import * as Unit from "path";
+ *   import {\n    Foo,\n    Bar as Baz\n} from "path";
  */
 function extractPath(importText) {
-  const matches = [...importText.matchAll(/["']([^"']+)["']/g)];
-  return matches.length > 0 ? matches[matches.length - 1][1] : null;
+  const directive = parseImportDirective(importText);
+  if (directive !== null) return directive.path;
+  const strings = tokenize(importText).filter(
+    (t) => t.type === TokenType.STRING,
+  );
+  return strings.length > 0 ? stringValue(strings[strings.length - 1]) : null;
 }
 
 /**
@@ -34,23 +71,114 @@ function extractPath(importText) {
  *
  * Specific forms:
  *   import { Foo } from "path";
- *   import { Foo, Bar } from "path";
+ *   import { Foo, Bar as Baz } from "path";
  *   import * as Foo from "path";
- *   import Foo from "path";
+ *   import "path" as Foo;
  *
  * Non-specific (bare):
  *   import "path";
  *   import '@scope/pkg/GlobalTypes.sol';
+ *
+ * Text that is not exactly one import directive counts as bare when a string
+ * literal follows the `import` keyword directly.
  */
 function isSpecificImport(importText) {
-  // Strip leading whitespace and the "import" keyword.
-  const body = importText.replace(/^\s*import\s+/, "");
-  // If what immediately follows "import " is a quote, it's bare.
-  return !/^["']/.test(body.trimStart());
+  const directive = parseImportDirective(importText);
+  if (directive !== null) return directive.kind !== ImportKind.BARE;
+  const code = tokenize(importText).filter((t) => t.type !== TokenType.COMMENT);
+  return code[1]?.type !== TokenType.STRING;
+}
+
+/**
+ * Split a first-party scope setting into its individual prefixes.
+ * Accepts a single prefix, a comma-separated list ("@a, @b, shared-lib") or
+ * an array of prefixes.
+ *
+ * @param {string | string[]} firstPartyScope
+ * @returns {string[]}
+ */
+function scopeList(firstPartyScope) {
+  const entries = Array.isArray(firstPartyScope)
+    ? firstPartyScope
+    : firstPartyScope.split(",");
+  return entries.map((s) => s.trim()).filter((s) => s.length > 0);
+}
+
+/**
+ * Expand the first-party scope setting into concrete prefixes, replacing an
+ * "auto" entry with the workspace package names found from `filepath`.
+ *
+ * @param {string | string[]}  firstPartyScope
+ * @param {string | undefined} filepath  the file being formatted
+ * @returns {string[]}
+ */
+function resolveFirstPartyScopes(firstPartyScope, filepath) {
+  return scopeList(firstPartyScope).flatMap((scope) =>
+    scope === AUTO_SCOPE ? findWorkspacePackages(filepath) : [scope],
+  );
+}
+
+/** The "interfaces" path segment rule, used when nothing is configured. */
+const defaultInterfaceDetector = interfaceDetector();
+
+/**
+ * Work out the traits pseudo-matchers test against:
+ *
+ * relative – starts with ./ or ../  (never first-party, interfaces or not)
+ * firstParty – starts with one of the first-party scopes
+ * interface – the path looks like an interface; by default a path segment
+ *             contains "interfaces" (covers package names like v3-interfaces
+ *             AND directory segments /interfaces/). The `isInterface` test of
+ *             the settings replaces that rule.
+ *
+ * When a Foundry / Hardhat project is given and one of its remappings applies,
+ * the remapped target is classified instead: a target inside the project's own
+ * sources is first-party, one inside a lib directory is third-party, and one
+ * inside node_modules is classified by its package path.
+ *
+ * @param {string}            importPath
+ * @param {string | string[]} firstPartyScope  e.g. "@balancer-labs" or ["@a", "@b"]
+ * @param {{
+ *   project?: import("./remappings").Project | null,
+ *   filepath?: string,
+ *   isInterface?: (importPath: string, target: string) => boolean,
+ * }} [remap]
+ * @returns {import("./import-groups").PathTraits}
+ */
+function pathTraits(importPath, firstPartyScope, remap = {}) {
+  const relative = importPath.startsWith("./") || importPath.startsWith("../");
+  const inScope = (p) =>
+    scopeList(firstPartyScope).some((scope) =>
+      p.startsWith(scope.endsWith("/") ? scope : scope + "/"),
+    );
+
+  let target = importPath;
+  let firstParty = !relative && inScope(importPath);
+
+  const resolved =
+    !relative && remap.project
+      ? resolveRemapping(importPath, remap.project, remap.filepath)
+      : null;
+  if (resolved !== null) {
+    const { location, packagePath } = locateTarget(resolved, remap.project);
+    target = location === "package" ? packagePath : resolved;
+    firstParty =
+      location === "project" || (location === "package" && inScope(target));
+  }
+
+  const isInterface = remap.isInterface ?? defaultInterfaceDetector;
+
+  return {
+    relative,
+    firstParty,
+    interface: isInterface(importPath, target),
+  };
 }
 
 /**
- * Classify an import path into one of four groups.
+ * Classify an import path into one of the configured groups.
+ *
+ * With the default layout the result is an ImportGroup value:
  *
  * EXTERNAL_DEPENDENCIES – Third-party: anything that is not first-party, not relative
  * FIRST_PARTY_INTERFACES – First-party interfaces: starts with firstPartyScope AND a path
@@ -58,238 +186,1285 @@ function isSpecificImport(importText) {
  * FIRST_PARTY_PACKAGES – First-party packages: starts with firstPartyScope, no interfaces segment
  * LOCAL_DEPENDENCIES – Relative: starts with ./ or ../  (interfaces or not — stays here)
  *
- * @param {string} importPath
- * @param {string} firstPartyScope  e.g. "@balancer-labs"
- * @returns {number} ImportGroup value
+ * "auto" is not expanded here; use resolveFirstPartyScopes first.
+ *
+ * @param {string}            importPath
+ * @param {string | string[]} firstPartyScope  e.g. "@balancer-labs" or ["@a", "@b"]
+ * @param {string[]}          [groups]         solidityImportGroups matchers
+ * @returns {number} one-based group number
  */
-function classifyImport(importPath, firstPartyScope) {
-  const scope = firstPartyScope.endsWith("/")
-    ? firstPartyScope
-    : firstPartyScope + "/";
+function classifyImport(importPath, firstPartyScope, groups) {
+  const traits = pathTraits(importPath, firstPartyScope);
+  return matchGroup(importPath, traits, compileGroups(groups)).index + 1;
+}
+
+/**
+ * A "chunk" is one import statement, possibly preceded by attached comments.
+ * Multi-line imports (curly-brace named imports spanning several lines) are
+ * collected into a single chunk.
+ *
+ * `comments` are the attached comment lines, `text` the statement itself and
+ * `raw` both joined back together as they appear in the output. `startLine`
+ * and `endLine` are the zero-based source lines of the statement.
+ *
+ * @typedef {{
+ *   raw: string,
+ *   comments: string[],
+ *   text: string,
+ *   path: string,
+ *   kind: string | null,
+ *   specific: boolean,
+ *   startLine: number,
+ *   endLine: number,
+ * }} Chunk
+ */
+
+/**
+ * Kinds of top-level statement told apart when parsing the import region.
+ */
+const StatementKind = {
+  IMPORT: "import",
+  PRAGMA: "pragma",
+  OTHER: "other",
+};
+
+/**
+ * Keywords whose statements always run to a `;`, even when they contain a
+ * braced list (`import {A} from "a.sol";`, `using {f} for T;`).
+ */
+const SEMICOLON_TERMINATED = new Set(["import", "pragma", "using"]);
+
+/**
+ * Comments that control the sorter:
+ *
+ * IGNORE_FILE – anywhere in the file: leave the whole file as it is
+ * DISABLE / ENABLE – keep the imports between them in their written order
+ * PRETTIER_IGNORE – directly above an import: pin that import in place
+ */
+const Directive = {
+  IGNORE_FILE: "sort-imports-ignore",
+  DISABLE: "sort-imports-disable",
+  ENABLE: "sort-imports-enable",
+  PRETTIER_IGNORE: "prettier-ignore",
+};
+
+/**
+ * Returns the text of a `// …` or `/* … *\/` comment without its delimiters.
+ *
+ * @param {string} comment
+ * @returns {string}
+ */
+function commentBody(comment) {
+  const text = comment.trim();
+  return (
+    text.startsWith("//") ? text.slice(2) : text.replace(/^\/\*|\*\/$/g, "")
+  ).trim();
+}
 
-  // Relative imports always stay in LOCAL_DEPENDENCIES, regardless of filename.
-  if (importPath.startsWith("./") || importPath.startsWith("../")) {
-    return ImportGroup.LOCAL_DEPENDENCIES;
+/**
+ * Find the line ranges between `sort-imports-disable` and the next
+ * `sort-imports-enable` comment (both included). A range left open runs to
+ * the end of the file.
+ *
+ * @param {import("./lexer").Token[]} tokens
+ * @returns {{ start: number, end: number }[]}
+ */
+function findDisabledRanges(tokens) {
+  const ranges = [];
+  let open = null;
+  for (const token of tokens) {
+    if (token.type !== TokenType.COMMENT) continue;
+    const body = commentBody(token.value);
+    if (open === null && body === Directive.DISABLE) {
+      open = { start: token.line, end: Infinity };
+      ranges.push(open);
+    } else if (open !== null && body === Directive.ENABLE) {
+      open.end = token.endLine;
+      open = null;
+    }
   }
+  return ranges;
+}
 
-  if (importPath.startsWith(scope)) {
-    // FIRST_PARTY_INTERFACES if any slash-delimited segment contains the word "interfaces"
-    // (covers package names like v3-interfaces AND directory segments /interfaces/)
-    const hasInterfacesSegment = importPath
-      .split("/")
-      .some((s) => s.includes("interfaces"));
-    return hasInterfacesSegment
-      ? ImportGroup.FIRST_PARTY_INTERFACES
-      : ImportGroup.FIRST_PARTY_PACKAGES;
+/**
+ * Split the token stream into top-level statements.
+ *
+ * A statement starts at brace depth 0 after the start of the file or the end
+ * of the previous statement. Imports, pragmas and `using` directives run up to
+ * and including their terminating `;`; anything else (contracts, structs,
+ * free functions, constants, …) ends at a `;` at depth 0 or at the `}` that
+ * closes its body. Comments and string literals are already single tokens, so
+ * an `import` or `;` inside them is never seen here.
+ *
+ * @param {import("./lexer").Token[]} tokens
+ * @returns {{ kind: string, startLine: number, endLine: number }[]}
+ */
+function findStatements(tokens) {
+  const statements = [];
+  const code = tokens.filter((t) => t.type !== TokenType.COMMENT);
+
+  let i = 0;
+  while (i < code.length) {
+    const first = code[i];
+    const keyword = first.type === TokenType.IDENTIFIER ? first.value : null;
+    let depth = 0;
+    let end = i;
+    for (; end < code.length; end++) {
+      const { value, type } = code[end];
+      if (type !== TokenType.PUNCTUATION) continue;
+      if (value === "{") depth++;
+      if (value === "}" && depth > 0) depth--;
+      if (value === ";" && depth === 0) break;
+      if (value === "}" && depth === 0 && !SEMICOLON_TERMINATED.has(keyword)) {
+        break;
+      }
+    }
+    const last = code[Math.min(end, code.length - 1)];
+    const kind =
+      keyword === "import"
+        ? StatementKind.IMPORT
+        : keyword === "pragma"
+          ? StatementKind.PRAGMA
+          : StatementKind.OTHER;
+    statements.push({ kind, startLine: first.line, endLine: last.endLine });
+    i = end + 1;
   }
 
-  return ImportGroup.EXTERNAL_DEPENDENCIES;
+  return statements;
 }
 
 /**
- * Sort comparator (three-level):
- *   1. Specific imports before bare/non-specific imports.
- *   2. Descending path length.
- *   3. Ascending alphabetical on ties.
+ * The imports of one block, and its floating comments: groups of comment
+ * lines set apart from the next import by a blank line, such as section
+ * headers. Each group is one string.
+ *
+ * @typedef {{ chunks: Chunk[], comments: string[] }} ImportBlock
  */
-function bySpecificThenDescendingLength(a, b) {
-  // Specific (true) sorts before non-specific (false).
-  if (a.specific !== b.specific) return a.specific ? -1 : 1;
-  const diff = b.path.length - a.path.length;
-  return diff !== 0 ? diff : a.path.localeCompare(b.path);
-}
 
 /**
- * A "chunk" is one import statement, possibly preceded by attached comments.
- * Multi-line imports (curly-brace named imports spanning several lines) are
- * collected into a single chunk.
+ * The source split around its imports:
  *
- * @typedef {{ raw: string, path: string, specific: boolean }} Chunk
+ *   header      everything before the import region
+ *   blocks      the imports of the region, one per independently sorted block
+ *               (other statements inside the region separate blocks), with
+ *               the comment groups standing on their own between its imports
+ *   separators  the verbatim source between consecutive blocks
+ *               (`separators.length === blocks.length - 1`)
+ *   hoisted     pragmas found inside the region, with their attached comments,
+ *               which belong above the imports
+ *   footer      everything after the last import
+ *   region      offsets of the import region in the source, from the start of
+ *               its first line to the end of its last
+ *
+ * @typedef {{
+ *   header: string,
+ *   blocks: ImportBlock[],
+ *   separators: string[],
+ *   hoisted: string[],
+ *   footer: string,
+ *   region: { start: number, end: number },
+ * }} Regions
  */
 
 /**
- * Parse raw source into three regions:
- *   - header:  everything before the imports block
- *   - chunks:  each import (+ any directly-preceding comment lines) as a unit
- *   - footer:  everything after the last import
+ * Parse raw source into its header, import blocks and footer.
+ *
+ * Each import (+ any directly-preceding comment lines) becomes one chunk.
+ * Statements are found with the lexer, so `import` text inside comments,
+ * NatSpec or string literals is never treated as an import, and a `;` inside
+ * a comment does not end a multi-line import early.
+ *
+ * Nothing between the first and the last import is dropped: a pragma is
+ * hoisted above the imports, and any other statement (a `using` directive, a
+ * constant, a contract, …) stays where it is and splits the imports around it
+ * into blocks that are sorted separately. The same goes for an import pinned
+ * with `// prettier-ignore` and for everything between
+ * `// sort-imports-disable` and `// sort-imports-enable`. A
+ * `// sort-imports-ignore` comment anywhere leaves the file as it is.
  *
  * @param {string} source
- * @returns {{ header: string, chunks: Chunk[], footer: string }}
+ * @returns {Regions}
  */
 function parseRegions(source) {
   const lines = source.split("\n");
+  const tokens = tokenize(source);
+  const statements = findStatements(tokens);
+  const directives = statements.filter((s) => s.kind === StatementKind.IMPORT);
+  const ignored = tokens.some(
+    (t) =>
+      t.type === TokenType.COMMENT &&
+      commentBody(t.value) === Directive.IGNORE_FILE,
+  );
 
-  // ── locate the first and last import lines ───────────────────────────────
-  let firstImportLine = -1;
-  let lastImportLine = -1;
+  // No imports found, or the file opts out — return unchanged.
+  if (directives.length === 0 || ignored) {
+    return {
+      header: source,
+      blocks: [],
+      separators: [],
+      hoisted: [],
+      footer: "",
+      region: { start: source.length, end: source.length },
+    };
+  }
 
-  for (let i = 0; i < lines.length; i++) {
-    if (lines[i].trim().startsWith("import")) {
-      if (firstImportLine === -1) firstImportLine = i;
-      let closingLine = i;
-      while (closingLine < lines.length && !lines[closingLine].includes(";")) {
-        closingLine++;
+  // Lines holding anything other than comments. A non-blank line that is not
+  // in this set consists only of comment text (including the inner lines of a
+  // block comment).
+  const codeLines = new Set();
+  for (const token of tokens) {
+    if (token.type !== TokenType.COMMENT) codeLines.add(token.line);
+  }
+  const isCommentLine = (i) => lines[i].trim() !== "" && !codeLines.has(i);
+  const disabledRanges = findDisabledRanges(tokens);
+
+  // The statements starting on each line.
+  const statementsAt = new Map();
+  for (const s of statements) {
+    if (!statementsAt.has(s.startLine)) statementsAt.set(s.startLine, []);
+    statementsAt.get(s.startLine).push(s);
+  }
+
+  // The last line reached by a comment starting on each line, where that
+  // comment runs on past it, and the line each further line of such a
+  // comment is joined to. Lines joined by a comment are never split up.
+  const commentEndAt = new Map();
+  const joinedTo = new Map();
+  for (const token of tokens) {
+    if (token.type === TokenType.COMMENT && token.endLine > token.line) {
+      commentEndAt.set(
+        token.line,
+        Math.max(commentEndAt.get(token.line) ?? 0, token.endLine),
+      );
+      for (let l = token.line + 1; l <= token.endLine; l++) {
+        joinedTo.set(l, Math.min(joinedTo.get(l) ?? l, token.line));
       }
-      if (closingLine > lastImportLine) lastImportLine = closingLine;
-      i = closingLine;
     }
   }
+  const unitStart = (line) => joinedTo.get(line) ?? line;
 
-  // No imports found — return unchanged.
-  if (firstImportLine === -1) {
-    return { header: source, chunks: [], footer: "" };
-  }
+  // Extend a statement over every further statement sharing its closing
+  // line, e.g. `import "a.sol"; import "b.sol";`, and over a block comment
+  // starting on that line, e.g. `import "a.sol"; /* why\n */`, so none is
+  // split. Returns the last line and the statements covered.
+  const extent = (line) => {
+    const covered = [];
+    let endLine = line;
+    let next = line;
+    for (;;) {
+      const starting = statementsAt.get(next) ?? [];
+      covered.push(...starting);
+      endLine = Math.max(
+        endLine,
+        ...starting.map((s) => s.endLine),
+        commentEndAt.get(endLine) ?? 0,
+      );
+      if (endLine === next) break;
+      next = endLine;
+    }
+    return { endLine, covered };
+  };
+
+  const firstImportLine = directives[0].startLine;
+  const lastImportLine = Math.max(...directives.map((d) => d.endLine));
 
   // Walk backwards from firstImportLine to include comment lines directly
-  // preceding the first import (with no blank-line gap).
-  let regionStart = firstImportLine;
-  for (let i = firstImportLine - 1; i >= 0; i--) {
-    const t = lines[i].trim();
-    if (t === "") break;
-    if (t.startsWith("//") || t.startsWith("/*") || t.startsWith("*")) {
-      regionStart = i;
-    } else {
-      break;
-    }
+  // preceding the first import (with no blank-line gap). The end of a comment
+  // opened after code on an earlier line stays with that code.
+  let regionStart = unitStart(firstImportLine);
+  for (
+    let i = regionStart - 1;
+    i >= 0 && isCommentLine(i) && isCommentLine(unitStart(i));
+    i--
+  ) {
+    regionStart = i;
   }
 
   const header = lines.slice(0, regionStart).join("\n");
-  const footer = lines.slice(lastImportLine + 1).join("\n");
-  const importRegionLines = lines.slice(regionStart, lastImportLine + 1);
 
   // ── parse chunks ──────────────────────────────────────────────────────────
-  const chunks = [];
+  const blocks = [{ chunks: [], comments: [] }];
+  const separators = [];
+  const hoisted = [];
+  // First line of the separator being collected, or -1.
+  let separatorStart = -1;
   let pendingComments = [];
-  let i = 0;
+  let i = regionStart;
+  let regionEnd = lastImportLine;
+
+  const closeSeparator = (endLine) => {
+    separators.push(
+      lines
+        .slice(separatorStart, endLine + 1)
+        .join("\n")
+        .trimEnd(),
+    );
+    blocks.push({ chunks: [], comments: [] });
+    separatorStart = -1;
+  };
 
-  while (i < importRegionLines.length) {
-    const trimmed = importRegionLines[i].trim();
+  while (i <= regionEnd) {
+    // A disabled range is kept verbatim, like any other statement.
+    const disabled = disabledRanges.find((r) => i >= r.start && i <= r.end);
+    if (disabled) {
+      if (separatorStart === -1) separatorStart = i - pendingComments.length;
+      pendingComments = [];
+      i = Math.min(disabled.end, regionEnd) + 1;
+      continue;
+    }
 
-    if (trimmed === "") {
+    if (lines[i].trim() === "") {
+      // Comments not attached to the next import float to the block's top.
+      // Inside a separator they are already part of its verbatim text.
+      if (separatorStart === -1 && pendingComments.length > 0) {
+        blocks[blocks.length - 1].comments.push(pendingComments.join("\n"));
+      }
       pendingComments = [];
       i++;
       continue;
     }
 
-    if (trimmed.startsWith("//") || trimmed.startsWith("/*")) {
-      pendingComments.push(importRegionLines[i]);
+    if (isCommentLine(i)) {
+      pendingComments.push(lines[i]);
       i++;
       continue;
     }
 
-    if (trimmed.startsWith("import")) {
-      const importLines = [];
-      while (i < importRegionLines.length) {
-        importLines.push(importRegionLines[i]);
-        if (importRegionLines[i].includes(";")) {
-          i++;
-          break;
-        }
-        i++;
+    const { endLine, covered } = extent(i);
+    regionEnd = Math.max(regionEnd, endLine);
+    const startsImport =
+      covered.length > 0 && covered[0].kind === StatementKind.IMPORT;
+    const statementText = lines.slice(i, endLine + 1).join("\n");
+    const path = startsImport ? extractPath(statementText) : null;
+
+    const pinned = pendingComments.some(
+      (c) => commentBody(c) === Directive.PRETTIER_IGNORE,
+    );
+
+    if (startsImport && (pinned || path === null)) {
+      // Stays where it is, splitting the imports around it into blocks. An
+      // import without a path cannot be classified and stays as well.
+      if (separatorStart === -1) separatorStart = i - pendingComments.length;
+    } else if (startsImport) {
+      if (separatorStart !== -1) {
+        closeSeparator(i - pendingComments.length - 1);
       }
-      const importText = importLines.join("\n");
-      const path = extractPath(importText);
-      if (path !== null) {
-        const raw = [...pendingComments, ...importLines].join("\n");
-        const specific = isSpecificImport(importText);
-        chunks.push({ raw, path, specific });
+      blocks[blocks.length - 1].chunks.push({
+        raw: [...pendingComments, statementText].join("\n"),
+        comments: pendingComments,
+        text: statementText,
+        path,
+        kind: parseImportDirective(statementText)?.kind ?? null,
+        specific: isSpecificImport(statementText),
+        startLine: i,
+        endLine,
+      });
+    } else if (
+      separatorStart === -1 &&
+      covered.length > 0 &&
+      covered.every((s) => s.kind === StatementKind.PRAGMA)
+    ) {
+      hoisted.push([...pendingComments, statementText].join("\n"));
+    } else if (separatorStart === -1) {
+      // Keep everything from the statement's attached comments onwards,
+      // verbatim — including any pragma that follows it.
+      separatorStart = i - pendingComments.length;
+    }
+
+    pendingComments = [];
+    i = endLine + 1;
+  }
+
+  if (separatorStart !== -1) closeSeparator(regionEnd);
+  const footer = lines.slice(regionEnd + 1).join("\n");
+  const regionOffset = lines
+    .slice(0, regionStart)
+    .reduce((offset, line) => offset + line.length + 1, 0);
+  const region = {
+    start: regionOffset,
+    end:
+      regionOffset + lines.slice(regionStart, regionEnd + 1).join("\n").length,
+  };
+
+  return { header, blocks, separators, hoisted, footer, region };
+}
+
+/**
+ * Returns a copy of `chunk` with its statement text and/or attached comments
+ * replaced, and `raw` rebuilt from them.
+ *
+ * @param {Chunk} chunk
+ * @param {{ text?: string, comments?: string[] }} changes
+ * @returns {Chunk}
+ */
+function updateChunk(chunk, changes) {
+  const text = changes.text ?? chunk.text ?? chunk.raw;
+  const comments = changes.comments ?? chunk.comments ?? [];
+  return { ...chunk, text, comments, raw: [...comments, text].join("\n") };
+}
+
+/**
+ * Returns true for a plain `import "path";` — one that brings every symbol of
+ * the file into scope, as opposed to `import "path" as X;`.
+ *
+ * @param {string} importText
+ * @returns {boolean}
+ */
+function isBareImport(importText) {
+  return parseImportDirective(importText)?.kind === ImportKind.BARE;
+}
+
+/**
+ * Deduplicate chunks by path, merging instead of discarding:
+ *
+ *   - named imports of the same path are merged into the first one
+ *     (`{A}` + `{B}` → `{A, B}`), dropping repeated symbols;
+ *   - a bare `import "path";` already brings every symbol into scope, so it
+ *     absorbs the un-aliased symbols of named imports of that path; aliased
+ *     symbols cannot be expressed by it and stay in a named import;
+ *   - any other repeat (a second bare import, or an identical
+ *     `* as X` / `"path" as X` import) is dropped.
+ *
+ * No comment is lost: the attached comments of every dropped or absorbed
+ * chunk, and the comments inside its statement (such as a trailing
+ * `// why`), move above the chunk that survives.
+ *
+ * @param {Chunk[]} chunks
+ * @returns {Chunk[]}
+ */
+function deduplicate(chunks) {
+  let result = [];
+
+  const text = (c) => c.text ?? c.raw;
+  const code = (c) =>
+    tokenize(text(c))
+      .filter((t) => t.type !== TokenType.COMMENT)
+      .map((t) => t.value)
+      .join(" ");
+  const sameStatement = (a, b) => code(a) === code(b);
+  const addComments = (index, comments) => {
+    if (comments && comments.length > 0) {
+      result[index] = updateChunk(result[index], {
+        comments: [...(result[index].comments ?? []), ...comments],
+      });
+    }
+  };
+  const withSymbols = (chunk, list, symbols) =>
+    updateChunk(chunk, {
+      text: replaceNamedImports(text(chunk), { ...list, symbols }),
+    });
+  // The comments inside a statement, optionally only those outside its
+  // braces (symbols carry the ones inside with them).
+  const statementComments = (chunk, list = null) =>
+    tokenize(text(chunk))
+      .filter(
+        (t) =>
+          t.type === TokenType.COMMENT &&
+          (list === null || t.start < list.open || t.start > list.close),
+      )
+      .map((t) => t.value)
+      .concat(list === null ? [] : list.dangling);
+  const symbolComments = (symbols) =>
+    symbols.flatMap((s) =>
+      s.trailing === null ? s.leading : [...s.leading, s.trailing],
+    );
+  // Everything that would be lost with a chunk dropped as a whole.
+  const allComments = (chunk) => [
+    ...(chunk.comments ?? []),
+    ...statementComments(chunk),
+  ];
+
+  for (const chunk of chunks) {
+    const samePath = result
+      .map((c, index) => ({ c, index }))
+      .filter(({ c }) => c.path === chunk.path);
+    if (samePath.length === 0) {
+      result.push(chunk);
+      continue;
+    }
+
+    const bare = samePath.find(({ c }) => isBareImport(text(c)));
+    const list = parseNamedImports(text(chunk));
+
+    if (list !== null) {
+      // Symbols a bare import of the same path already provides are dropped.
+      const symbols = bare
+        ? list.symbols.filter((s) => s.alias !== null)
+        : list.symbols;
+      if (symbols.length === 0) {
+        addComments(bare.index, allComments(chunk));
+        continue;
+      }
+      const dropped = bare
+        ? symbolComments(list.symbols.filter((s) => s.alias === null))
+        : [];
+
+      const named = samePath
+        .map(({ c, index }) => ({ index, list: parseNamedImports(text(c)) }))
+        .find((n) => n.list !== null);
+      if (named) {
+        const merged = dedupeSymbols([...named.list.symbols, ...symbols]);
+        result[named.index] = withSymbols(
+          result[named.index],
+          named.list,
+          merged,
+        );
+        addComments(named.index, [
+          ...(chunk.comments ?? []),
+          ...statementComments(chunk, list),
+          ...dropped,
+        ]);
+      } else {
+        result.push(withSymbols(chunk, list, symbols));
+        addComments(result.length - 1, dropped);
       }
-      pendingComments = [];
       continue;
     }
 
-    i++;
+    if (isBareImport(text(chunk))) {
+      if (bare) {
+        addComments(bare.index, allComments(chunk));
+        continue;
+      }
+      // Absorb the un-aliased symbols of earlier named imports.
+      const absorbed = [];
+      result = result.flatMap((c) => {
+        const named = c.path === chunk.path ? parseNamedImports(text(c)) : null;
+        if (named === null) return [c];
+        const aliased = named.symbols.filter((s) => s.alias !== null);
+        if (aliased.length > 0) {
+          absorbed.push(
+            ...symbolComments(named.symbols.filter((s) => s.alias === null)),
+          );
+          return [withSymbols(c, named, aliased)];
+        }
+        absorbed.push(...allComments(c));
+        return [];
+      });
+      result.push(chunk);
+      addComments(result.length - 1, absorbed);
+      continue;
+    }
+
+    const same = samePath.find(({ c }) => sameStatement(c, chunk));
+    if (same) {
+      addComments(same.index, allComments(chunk));
+    } else {
+      result.push(chunk);
+    }
   }
 
-  return { header, chunks, footer };
+  return result;
 }
 
 /**
- * Deduplicate chunks by path: keep only the first occurrence of each path.
+ * Drop named-import symbols that the code after the imports never uses, and
+ * whole statements (with their attached comments) left with no symbols.
+ * Bare and namespace imports are kept as they are.
  *
  * @param {Chunk[]} chunks
+ * @param {string}  code  the non-import code of the file
  * @returns {Chunk[]}
  */
-function deduplicate(chunks) {
-  const seen = new Set();
-  return chunks.filter(({ path }) => {
-    if (seen.has(path)) return false;
-    seen.add(path);
-    return true;
+function removeUnusedSymbols(chunks, code) {
+  const used = usedIdentifiers(code);
+  return chunks.flatMap((chunk) => {
+    const text = pruneNamedImport(chunk.text, used);
+    if (text === null) return [];
+    return text === chunk.text ? [chunk] : [updateChunk(chunk, { text })];
   });
 }
 
 /**
- * Sort and reconstruct the imports block from a list of chunks.
+ * Rewrite bare imports into named imports of the symbols the code uses (see
+ * nameBareImport). Names another import of the block already binds are left
+ * to it.
  *
- * @param {Chunk[]} chunks
- * @param {string}  firstPartyScope
- * @returns {string}  the sorted imports block (no leading/trailing newline)
+ * @param {Chunk[]}  chunks
+ * @param {string}   code      the non-import code of the file
+ * @param {Settings} settings
+ * @returns {Chunk[]}
+ */
+function nameBareImports(chunks, code, settings) {
+  if (!settings.filepath) return chunks;
+  const used = usedIdentifiers(code);
+  return chunks.map((chunk) => {
+    if (!isBareImport(chunk.text)) return chunk;
+    const bound = new Set(
+      chunks
+        .filter((c) => c.path !== chunk.path)
+        .flatMap((c) => parseNamedImports(c.text)?.symbols ?? [])
+        .map((s) => s.alias ?? s.name),
+    );
+    const text = nameBareImport(
+      chunk.text,
+      new Set([...used].filter((name) => !bound.has(name))),
+      {
+        filepath: settings.filepath,
+        project: settings.project,
+        bracketSpacing: settings.layout.bracketSpacing,
+      },
+    );
+    return text === chunk.text
+      ? chunk
+      : {
+          ...updateChunk(chunk, { text }),
+          kind: ImportKind.NAMED,
+          specific: true,
+        };
+  });
+}
+
+/**
+ * Resolved sorter settings.
+ *
+ * @typedef {{
+ *   firstPartyScopes: string[],
+ *   project: import("./remappings").Project | null,
+ *   filepath: string | undefined,
+ *   groups: import("./import-groups").GroupMatcher[],
+ *   isInterface: (importPath: string, target: string) => boolean,
+ *   sortNamedImports: boolean,
+ *   removeUnusedImports: boolean,
+ *   nameBareImports: boolean,
+ *   wrapNamedImports: boolean,
+ *   groupHeaders: string[] | null,
+ *   compare: (a: Chunk, b: Chunk) => number,
+ *   quote: '"' | "'",
+ *   convertPath: ((importPath: string) => string) | null,
+ *   layout: import("./named-imports").WrapOptions,
+ *   spacing: Spacing,
+ * }} Settings
+ */
+
+/**
+ * Blank lines the output puts between import groups, and above and below
+ * the import region. `null` keeps the blank lines the source has there.
+ *
+ * @typedef {{
+ *   betweenGroups: number,
+ *   beforeImports: number | null,
+ *   afterImports: number | null,
+ * }} Spacing
+ */
+
+/** The blank-line count that keeps the source's own spacing. */
+const PRESERVE_BLANK_LINES = -1;
+
+/**
+ * Validate a blank-line count option.
+ *
+ * @param {unknown} value
+ * @param {string}  name              the option name, for the error message
+ * @param {boolean} [allowPreserve]   accept PRESERVE_BLANK_LINES, as null
+ * @returns {number | null}
+ */
+function blankLines(value, name, allowPreserve = false) {
+  if (value === undefined) return 1;
+  if (allowPreserve && value === PRESERVE_BLANK_LINES) return null;
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(
+      `Invalid ${name} ${JSON.stringify(value)}. Expected a number of ` +
+        `blank lines${allowPreserve ? ", or -1 to keep the source's" : ""}`,
+    );
+  }
+  return value;
+}
+
+/**
+ * Accept either a first-party scope string or array (the original signature)
+ * or a Prettier-style options object and resolve it into Settings.
+ *
+ * @param {string | string[] | object | undefined} options
+ * @returns {Settings}
  */
-function buildImportsBlock(chunks, firstPartyScope) {
-  const groups = {
-    [ImportGroup.EXTERNAL_DEPENDENCIES]: [],
-    [ImportGroup.FIRST_PARTY_INTERFACES]: [],
-    [ImportGroup.FIRST_PARTY_PACKAGES]: [],
-    [ImportGroup.LOCAL_DEPENDENCIES]: [],
+function resolveSettings(options) {
+  const opts =
+    typeof options === "string" || Array.isArray(options)
+      ? { solidityFirstPartyScope: options }
+      : (options ?? {});
+  const project =
+    opts.solidityRemappings === false ? null : loadProject(opts.filepath);
+  return {
+    firstPartyScopes: resolveFirstPartyScopes(
+      opts.solidityFirstPartyScope ?? DEFAULT_FIRST_PARTY_SCOPE,
+      opts.filepath,
+    ),
+    groups: compileGroups(
+      opts.solidityImportGroups,
+      opts.solidityInterfaceSplit,
+    ),
+    isInterface: interfaceDetector({
+      patterns: opts.solidityInterfacePatterns,
+      fileNames: opts.solidityInterfaceFileNames,
+    }),
+    project,
+    filepath: opts.filepath,
+    sortNamedImports: opts.soliditySortNamedImports === true,
+    removeUnusedImports: opts.solidityRemoveUnusedImports === true,
+    nameBareImports: opts.solidityNameBareImports === true,
+    wrapNamedImports: opts.solidityWrapNamedImports === true,
+    compare: importComparator(
+      opts.solidityImportOrder,
+      opts.solidityImportKindOrder,
+    ),
+    quote: opts.singleQuote === true ? "'" : '"',
+    convertPath: importPathConverter(
+      opts.solidityImportPathStyle,
+      opts.filepath,
+      project,
+    ),
+    groupHeaders:
+      opts.solidityImportGroupHeaders === true
+        ? groupLabels(
+            opts.solidityImportGroupLabels,
+            opts.solidityImportGroups,
+            opts.solidityInterfaceSplit,
+          )
+        : null,
+    layout: {
+      printWidth: opts.printWidth ?? 80,
+      tabWidth: opts.tabWidth ?? 2,
+      useTabs: opts.useTabs ?? false,
+      bracketSpacing: opts.bracketSpacing ?? true,
+    },
+    spacing: {
+      betweenGroups: blankLines(
+        opts.solidityBlankLinesBetweenGroups,
+        "solidityBlankLinesBetweenGroups",
+      ),
+      beforeImports: blankLines(
+        opts.solidityBlankLinesBeforeImports,
+        "solidityBlankLinesBeforeImports",
+        true,
+      ),
+      afterImports: blankLines(
+        opts.solidityBlankLinesAfterImports,
+        "solidityBlankLinesAfterImports",
+        true,
+      ),
+    },
   };
+}
+
+/**
+ * A chunk placed in its group, with the group matcher that claimed it.
+ *
+ * @typedef {{
+ *   chunk: Chunk,
+ *   group: number,
+ *   matcher: import("./import-groups").GroupMatcher | null,
+ * }} Placement
+ */
+
+/**
+ * Assign every chunk to its group and sort within each group.
+ *
+ * @param {Chunk[]}  chunks
+ * @param {Settings} settings
+ * @returns {Placement[][]}  one (possibly empty) array per group, in order;
+ *   `group` is one-based, as returned by classifyImport
+ */
+function groupChunks(chunks, settings) {
+  // One bucket per configured group plus the implicit trailing group.
+  const groups = Array.from({ length: settings.groups.length + 1 }, () => []);
   for (const chunk of chunks) {
-    const g = classifyImport(chunk.path, firstPartyScope);
-    groups[g].push(chunk);
+    const traits = pathTraits(chunk.path, settings.firstPartyScopes, settings);
+    const { index, matcher } = matchGroup(chunk.path, traits, settings.groups);
+    groups[index].push({ chunk, group: index + 1, matcher });
   }
 
-  const groupOrder = [
-    ImportGroup.EXTERNAL_DEPENDENCIES,
-    ImportGroup.FIRST_PARTY_INTERFACES,
-    ImportGroup.FIRST_PARTY_PACKAGES,
-    ImportGroup.LOCAL_DEPENDENCIES,
-  ];
-
-  for (const g of groupOrder) {
-    groups[g].sort(bySpecificThenDescendingLength);
+  for (const group of groups) {
+    group.sort((a, b) => settings.compare(a.chunk, b.chunk));
   }
 
-  return groupOrder
-    .filter((g) => groups[g].length > 0)
-    .map((g) => groups[g].map((c) => c.raw).join("\n"))
-    .join("\n\n");
+  return groups;
 }
 
 /**
- * Main entry point.
+ * Returns the generated header comment for a group label.
  *
- * @param {string} source
- * @param {string} firstPartyScope  e.g. "@balancer-labs"
+ * @param {string} label
  * @returns {string}
  */
-function sortImports(source, firstPartyScope = "@balancer-labs") {
-  const { header, chunks, footer } = parseRegions(source);
+function groupHeader(label) {
+  return `// ${label}`;
+}
+
+/**
+ * Remove previously generated group headers — comment lines reading exactly
+ * `// <label>` for one of the configured labels — so they can be emitted
+ * again above whichever import now starts each group.
+ *
+ * @param {ImportBlock} block
+ * @param {string[]}    labels
+ * @returns {ImportBlock}
+ */
+function stripGroupHeaders(block, labels) {
+  const headers = new Set(labels.map(groupHeader));
+  const keep = (line) => !headers.has(line.trim());
+  return {
+    chunks: block.chunks.map((chunk) =>
+      chunk.comments.every(keep)
+        ? chunk
+        : updateChunk(chunk, { comments: chunk.comments.filter(keep) }),
+    ),
+    comments: block.comments
+      .map((group) => group.split("\n").filter(keep).join("\n"))
+      .filter((group) => group.length > 0),
+  };
+}
+
+/**
+ * Reconstruct the imports block from grouped chunks.
+ *
+ * @param {Placement[][]}   groups
+ * @param {string[] | null} labels         header labels, or null for no headers
+ * @param {number}          betweenGroups  blank lines between groups
+ * @returns {string}  the sorted imports block (no leading/trailing newline)
+ */
+function printImportsBlock(groups, labels, betweenGroups) {
+  return groups
+    .map((group, index) => {
+      if (group.length === 0) return null;
+      const lines = group.map((p) => p.chunk.raw);
+      return (labels ? [groupHeader(labels[index]), ...lines] : lines).join(
+        "\n",
+      );
+    })
+    .filter((group) => group !== null)
+    .join("\n".repeat(betweenGroups + 1));
+}
+
+/**
+ * One import block after sorting.
+ *
+ *   chunks  the block's imports as parsed
+ *   merged  after deduplication
+ *   groups  the imports left after every transform, grouped and sorted
+ *   text    the printed block: its floating comments, then the imports
+ *   offset  the line of `text` the imports start on
+ *   start   the zero-based output line the imports start on
+ *   headers whether each group starts with a generated header line
+ *   betweenGroups  the blank lines between its groups
+ *
+ * @typedef {{
+ *   chunks: Chunk[],
+ *   merged: Chunk[],
+ *   groups: Placement[][],
+ *   text: string,
+ *   offset: number,
+ *   start: number,
+ *   headers: boolean,
+ *   betweenGroups: number,
+ * }} SortedBlock
+ */
+
+/**
+ * Returns a copy of `chunk` importing its path in the configured style,
+ * normalized and quoted.
+ *
+ * @param {Chunk}    chunk
+ * @param {Settings} settings
+ * @returns {Chunk}
+ */
+function normalizeChunkPath(chunk, settings) {
+  const { text, path } = rewriteImportPath(
+    chunk.text,
+    settings.quote,
+    settings.convertPath,
+  );
+  if (text === chunk.text) return chunk;
+  return { ...updateChunk(chunk, { text }), path };
+}
 
-  if (chunks.length === 0) return source;
+/**
+ * Respell, deduplicate, transform, group and print one import block.
+ *
+ * @param {ImportBlock} block
+ * @param {string}      code      the non-import code that may use the imports
+ * @param {Settings}    settings
+ * @returns {SortedBlock}
+ */
+function sortBlock(block, code, settings) {
+  const { chunks, comments } = settings.groupHeaders
+    ? stripGroupHeaders(block, settings.groupHeaders)
+    : block;
+  let normalized = chunks.map((c) => normalizeChunkPath(c, settings));
+  if (settings.nameBareImports) {
+    normalized = nameBareImports(normalized, code, settings);
+  }
+  const merged = deduplicate(normalized);
+  let kept = merged;
+  if (settings.removeUnusedImports) {
+    kept = removeUnusedSymbols(kept, code);
+  }
+  if (settings.sortNamedImports) {
+    kept = kept.map((c) => updateChunk(c, { text: sortNamedImports(c.text) }));
+  }
+  if (settings.wrapNamedImports) {
+    kept = kept.map((c) =>
+      updateChunk(c, { text: wrapNamedImports(c.text, settings.layout) }),
+    );
+  }
+  const groups = groupChunks(kept, settings);
+  const floating = comments.join("\n\n");
+  const imports = printImportsBlock(
+    groups,
+    settings.groupHeaders,
+    settings.spacing.betweenGroups,
+  );
+  return {
+    chunks,
+    merged,
+    groups,
+    text: [floating, imports].filter((part) => part.length > 0).join("\n\n"),
+    offset: floating.length > 0 ? floating.split("\n").length + 1 : 0,
+    start: 0,
+    headers: settings.groupHeaders !== null,
+    betweenGroups: settings.spacing.betweenGroups,
+  };
+}
 
-  const deduped = deduplicate(chunks);
-  const importsBlock = buildImportsBlock(deduped, firstPartyScope);
+/** The UTF-8 byte order mark, as decoded into a string. */
+const BOM = "\uFEFF";
 
-  const trimmedHeader = header.trimEnd();
-  const trimmedFooter = footer.trimStart();
+/** Line endings by Prettier `endOfLine` value. */
+const LINE_ENDINGS = { lf: "\n", crlf: "\r\n", cr: "\r" };
 
-  let result = trimmedHeader + "\n\n" + importsBlock;
+/**
+ * Returns the line ending the output uses: the one Prettier's `endOfLine`
+ * names, or for "auto" (and when it is not set) the first one in `source`,
+ * as Prettier guesses it.
+ *
+ * @param {string}                             source
+ * @param {string | string[] | object} [options]
+ * @returns {string}
+ */
+function lineEnding(source, options) {
+  const endOfLine =
+    options && typeof options === "object" && !Array.isArray(options)
+      ? options.endOfLine
+      : undefined;
+  if (endOfLine in LINE_ENDINGS) return LINE_ENDINGS[endOfLine];
+  const first = /\r\n?|\n/.exec(source);
+  return first ? first[0] : "\n";
+}
+
+/**
+ * Returns how many of `lines` are blank before the first that is not.
+ *
+ * @param {string[]} lines
+ * @returns {number}
+ */
+function countBlankLines(lines) {
+  const index = lines.findIndex((line) => line.trim() !== "");
+  return index === -1 ? lines.length : index;
+}
+
+/**
+ * Where an import was printed: its placement and the zero-based output
+ * lines of its statement (after its attached comments).
+ *
+ * @typedef {{ placement: Placement, start: number, end: number }} PlacedImport
+ */
+
+/**
+ * Find the output lines of every import left after sorting.
+ *
+ * @param {SortedBlock[]} blocks
+ * @returns {Map<number, PlacedImport>}  keyed by the chunk's startLine in the
+ *   source, which it keeps through every transform
+ */
+function placedImports(blocks) {
+  const placed = new Map();
+  for (const block of blocks) {
+    let line = block.start;
+    for (const group of block.groups.filter((g) => g.length > 0)) {
+      if (block.headers) line++;
+      for (const placement of group) {
+        const { chunk } = placement;
+        const start = line + chunk.comments.length;
+        const end = start + chunk.text.split("\n").length - 1;
+        placed.set(chunk.startLine, { placement, start, end });
+        line = end + 1;
+      }
+      line += block.betweenGroups;
+    }
+  }
+  return placed;
+}
+
+/**
+ * The editor options of a call, as offsets into its input: the range to
+ * format (the whole input by default) and the cursor (-1 for none).
+ *
+ * @param {string}                     input
+ * @param {string | string[] | object} [options]
+ * @returns {{ rangeStart: number, rangeEnd: number, cursorOffset: number }}
+ */
+function editorOffsets(input, options) {
+  const opts =
+    options && typeof options === "object" && !Array.isArray(options)
+      ? options
+      : {};
+  const valid = (offset) =>
+    Number.isInteger(offset) && offset >= 0 && offset <= input.length;
+  return {
+    rangeStart: valid(opts.rangeStart) ? opts.rangeStart : 0,
+    rangeEnd: valid(opts.rangeEnd) ? opts.rangeEnd : input.length,
+    cursorOffset: valid(opts.cursorOffset) ? opts.cursorOffset : -1,
+  };
+}
+
+/**
+ * Run the whole sorting pipeline, keeping the intermediate results that
+ * analyzeImports reports on.
+ *
+ * The pipeline itself works on LF line endings without a byte order mark: a
+ * leading BOM is set aside and put back, and the line endings of the output
+ * follow lineEnding. A file without imports to sort, or whose import region
+ * lies outside the range to format, is returned as it is. The cursor follows
+ * the import it is on, and otherwise a line diff of the file.
+ *
+ * @param {string} input
+ * @param {string | string[] | object} [options]
+ * @returns {{ result: string, blocks: SortedBlock[], cursorOffset: number }}
+ */
+function runPipeline(input, options) {
+  const bom = input.startsWith(BOM) ? BOM : "";
+  const eol = lineEnding(input, options);
+  const source = input.slice(bom.length).replace(/\r\n?/g, "\n");
+  const { header, blocks, separators, hoisted, footer, region } =
+    parseRegions(source);
+  const editor = editorOffsets(input, options);
+  // Offsets of the input, in `source`.
+  const toSource = (offset) =>
+    Math.max(0, offset - bom.length) -
+    (input.slice(0, offset).match(/\r\n/g) ?? []).length;
+  const unchanged = {
+    result: input,
+    blocks: [],
+    cursorOffset: editor.cursorOffset,
+  };
+
+  if (blocks.length === 0) return unchanged;
+  if (
+    toSource(editor.rangeStart) >= region.end ||
+    toSource(editor.rangeEnd) <= region.start
+  ) {
+    return unchanged;
+  }
+
+  const settings = resolveSettings(options);
+  // A file-level declaration can use an import wherever it is in the file.
+  const code = [...separators, footer].join("\n");
+  const sorted = blocks.map((block) => sortBlock(block, code, settings));
+
+  // The header and footer are kept line for line; only the blank lines next
+  // to the imports are respaced. Hoisted pragmas go at the end of the header,
+  // right above the imports.
+  const headerLines = header.split("\n");
+  const footerLines = footer.split("\n");
+  const blankAbove = countBlankLines([...headerLines].reverse());
+  const blankBelow = countBlankLines(footerLines);
+  const trimmedHeader = [
+    headerLines.slice(0, headerLines.length - blankAbove).join("\n"),
+    ...hoisted,
+  ]
+    .filter((part) => part.length > 0)
+    .join("\n");
+  const trimmedFooter = footerLines.slice(blankBelow).join("\n");
+  const { beforeImports, afterImports } = settings.spacing;
+
+  // Blocks and the statements separating them, in source order.
+  const parts = [];
+  sorted.forEach((block, index) => {
+    parts.push({ text: block.text, block });
+    if (index < separators.length) parts.push({ text: separators[index] });
+  });
+
+  let result = trimmedHeader;
+  const append = (text, blank) => {
+    if (result.length > 0) result += "\n".repeat(blank + 1);
+    const line = result.split("\n").length - 1;
+    result += text;
+    return line;
+  };
+  parts
+    .filter((p) => p.text.length > 0)
+    .forEach((part, index) => {
+      const blank = index === 0 ? (beforeImports ?? blankAbove) : 1;
+      const line = append(part.text, blank);
+      if (part.block) part.block.start = line + part.block.offset;
+    });
   if (trimmedFooter.length > 0) {
-    result += "\n\n" + trimmedFooter;
+    append(trimmedFooter, afterImports ?? blankBelow);
   }
 
   if (source.endsWith("\n") && !result.endsWith("\n")) {
     result += "\n";
   }
 
-  return result;
+  let cursorOffset = -1;
+  if (editor.cursorOffset >= 0) {
+    const placed = placedImports(sorted);
+    const moves = [];
+    for (const chunk of sorted.flatMap((block) => block.chunks)) {
+      const found = placed.get(chunk.startLine);
+      if (!found) continue;
+      moves.push({
+        oldStart: chunk.startLine - chunk.comments.length,
+        oldEnd: chunk.endLine,
+        newStart: found.start - found.placement.chunk.comments.length,
+        newEnd: found.end,
+      });
+    }
+    const offset = mapOffset(
+      source,
+      result,
+      toSource(editor.cursorOffset),
+      moves,
+    );
+    cursorOffset =
+      bom.length +
+      offset +
+      (eol === "\r\n" ? result.slice(0, offset).split("\n").length - 1 : 0);
+  }
+  if (eol !== "\n") result = result.replace(/\n/g, eol);
+
+  return { result: bom + result, blocks: sorted, cursorOffset };
+}
+
+/**
+ * Main entry point.
+ *
+ * @param {string} source
+ * @param {string | string[] | object} [options]  first-party scope(s) (e.g.
+ *   "@balancer-labs") or a Prettier-style options object with
+ *   `solidityFirstPartyScope`, `solidityImportGroups`, `solidityRemappings`,
+ *   `soliditySortNamedImports`, `solidityRemoveUnusedImports`,
+ *   `solidityWrapNamedImports`, Prettier's layout options, `endOfLine` and
+ *   `filepath`
+ * @returns {string}
+ */
+function sortImports(source, options) {
+  return runPipeline(source, options).result;
+}
+
+/**
+ * Sort the imports like sortImports, but return the change as text edits of
+ * `source` instead of the whole new text. The edits cover only the lines
+ * that change, all of them in the import region and the blank lines around
+ * it; a sorted file gives none.
+ *
+ * @param {string} source
+ * @param {string | string[] | object} [options]  as for sortImports
+ * @returns {import("./edits").TextEdit[]}
+ */
+function importEdits(source, options) {
+  return computeEdits(source, runPipeline(source, options).result);
+}
+
+/**
+ * Sort the imports like sortImports, also mapping the cursor: the same as
+ * Prettier's `formatWithCursor`. With `rangeStart` and `rangeEnd`, the
+ * imports are only sorted when the range overlaps the import region; they
+ * are always sorted as a whole. `cursorOffset` stays on the import it is on
+ * wherever that import moves.
+ *
+ * @param {string} source
+ * @param {object} [options]  as for sortImports, plus `rangeStart`,
+ *   `rangeEnd` and `cursorOffset` (offsets into `source`)
+ * @returns {{ formatted: string, cursorOffset: number }}  `cursorOffset` is
+ *   -1 when none was given
+ */
+function sortImportsWithCursor(source, options) {
+  const { result, cursorOffset } = runPipeline(source, options);
+  return { formatted: result, cursorOffset };
+}
+
+/**
+ * A one-based, inclusive range of lines.
+ *
+ * @typedef {{ start: number, end: number }} LineRange
+ */
+
+/**
+ * Why one import statement of the source ended up where it did.
+ *
+ *   path       the imported path
+ *   group      one-based group number, as returned by classifyImport; null
+ *              when the statement is not in the output
+ *   rule       the solidityImportGroups entry that matched, or null for the
+ *              implicit trailing group
+ *   duplicate  merged into, or dropped in favor of, another import of the
+ *              same path
+ *   kind       the grammar form (an ImportKind value), or null when the
+ *              statement is not exactly one import directive
+ *   specific   binds names (see isSpecificImport); specific imports sort
+ *              before bare ones within a group
+ *   lines      where the statement is in the source
+ *   newLines   where it is in the sorted output, or null when it was merged
+ *              away or removed as unused
+ *
+ * @typedef {{
+ *   path: string,
+ *   group: number | null,
+ *   rule: string | null,
+ *   duplicate: boolean,
+ *   kind: string | null,
+ *   specific: boolean,
+ *   lines: LineRange,
+ *   newLines: LineRange | null,
+ * }} ImportDiagnostic
+ */
+
+/**
+ * Explain how sortImports treats every import statement of `source`, in
+ * source order. Imports it leaves alone (pinned, in a disabled range or in an
+ * ignored file) are not reported. Takes the same options as sortImports.
+ *
+ * @param {string} source
+ * @param {string | string[] | object} [options]
+ * @returns {ImportDiagnostic[]}
+ */
+function analyzeImports(source, options) {
+  const { blocks } = runPipeline(source, options);
+  const survivors = new Set(
+    blocks.flatMap((block) => block.merged).map((chunk) => chunk.startLine),
+  );
+  const placed = placedImports(blocks);
+
+  return blocks
+    .flatMap((block) => block.chunks)
+    .map((chunk) => {
+      const found = placed.get(chunk.startLine);
+      return {
+        path: chunk.path,
+        group: found ? found.placement.group : null,
+        rule:
+          found && found.placement.matcher
+            ? found.placement.matcher.source
+            : null,
+        duplicate: !survivors.has(chunk.startLine),
+        kind: chunk.kind,
+        specific: chunk.specific,
+        lines: { start: chunk.startLine + 1, end: chunk.endLine + 1 },
+        newLines: found ? { start: found.start + 1, end: found.end + 1 } : null,
+      };
+    });
 }
 
 module.exports = {
   sortImports,
+  analyzeImports,
   classifyImport,
   extractPath,
   deduplicate,
   isSpecificImport,
   ImportGroup,
+  resolveFirstPartyScopes,
+  sortImportsWithCursor,
+  importEdits,
 };
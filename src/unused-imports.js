@@ -0,0 +1,53 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+"use strict";
+
+const { tokenize, TokenType } = require("./lexer");
+const { parseNamedImports, replaceNamedImports } = require("./named-imports");
+
+/** NatSpec tag whose argument names a contract that must be in scope. */
+const INHERITDOC = /@inheritdoc\s+([A-Za-z_$][A-Za-z0-9_$]*)/g;
+
+/**
+ * Collect every identifier used in `code`, ignoring comments and string
+ * literals. The one exception is NatSpec `@inheritdoc Name`, which the
+ * compiler resolves and therefore counts as a use of `Name`.
+ *
+ * @param {string} code
+ * @returns {Set<string>}
+ */
+function usedIdentifiers(code) {
+  const used = new Set();
+  for (const token of tokenize(code)) {
+    if (token.type === TokenType.IDENTIFIER) {
+      used.add(token.value);
+    } else if (token.type === TokenType.COMMENT) {
+      for (const match of token.value.matchAll(INHERITDOC)) used.add(match[1]);
+    }
+  }
+  return used;
+}
+
+/**
+ * Drop the symbols of a named import whose local name (the alias, if any) is
+ * not in `used`.
+ *
+ * Returns the import unchanged when it is not a named import (`import "x";`,
+ * `import * as X from "x";`, `import "x" as X;`), the rewritten import when
+ * some symbols remain, or null when none do and the statement should go.
+ *
+ * @param {string}      importText
+ * @param {Set<string>} used
+ * @returns {string | null}
+ */
+function pruneNamedImport(importText, used) {
+  const list = parseNamedImports(importText);
+  if (list === null || list.symbols.length === 0) return importText;
+
+  const symbols = list.symbols.filter((s) => used.has(s.alias ?? s.name));
+  if (symbols.length === list.symbols.length) return importText;
+  if (symbols.length === 0) return null;
+  return replaceNamedImports(importText, { ...list, symbols });
+}
+
+module.exports = { pruneNamedImport, usedIdentifiers };
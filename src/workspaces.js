@@ -0,0 +1,224 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const { fileCache } = require("./file-cache");
+const { globToRegExp } = require("./import-groups");
+
+/** Directories never searched when expanding a `**` workspace pattern. */
+const SKIPPED_DIRECTORIES = new Set(["node_modules", ".git"]);
+
+/**
+ * A workspace package: its `name` and the directory of its package.json.
+ *
+ * @typedef {{ name: string, dir: string }} WorkspacePackage
+ */
+
+/**
+ * Directory → its workspace packages, or null when its package.json declares
+ * no workspaces. Kept until one of the files read changes.
+ */
+const cached = fileCache();
+
+/**
+ * Read and parse a JSON file, returning null when it is missing or invalid.
+ *
+ * @param {string} file
+ * @returns {any}
+ */
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Returns the workspace patterns of a package.json, accepting both the npm /
+ * yarn array form and the `{ packages: [...] }` object form.
+ *
+ * @param {any} pkg  parsed package.json
+ * @returns {string[] | null}
+ */
+function workspacePatterns(pkg) {
+  if (!pkg || !pkg.workspaces) return null;
+  if (Array.isArray(pkg.workspaces)) return pkg.workspaces;
+  if (Array.isArray(pkg.workspaces.packages)) return pkg.workspaces.packages;
+  return null;
+}
+
+/**
+ * List subdirectories of `dir`, or nothing when it cannot be read.
+ *
+ * @param {string} dir
+ * @returns {string[]}
+ */
+function subdirectories(dir) {
+  try {
+    return fs
+      .readdirSync(dir, { withFileTypes: true })
+      .filter((e) => e.isDirectory() && !SKIPPED_DIRECTORIES.has(e.name))
+      .map((e) => e.name);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Expand one workspace pattern (e.g. "packages/*", "libs/**") into the
+ * directories it names, relative to `root`. Every directory listed on the
+ * way is added to `watched`.
+ *
+ * @param {string}   root
+ * @param {string}   pattern
+ * @param {string[]} watched
+ * @returns {string[]}  absolute directory paths
+ */
+function expandPattern(root, pattern, watched) {
+  const segments = pattern.replace(/^\.\//, "").split("/").filter(Boolean);
+  let dirs = [root];
+
+  for (const segment of segments) {
+    const next = [];
+    for (const dir of dirs) {
+      if (segment === "**") {
+        // Zero or more directories below `dir`.
+        const stack = [dir];
+        while (stack.length > 0) {
+          const current = stack.pop();
+          next.push(current);
+          watched.push(current);
+          for (const name of subdirectories(current)) {
+            stack.push(path.join(current, name));
+          }
+        }
+      } else if (/[*?]/.test(segment)) {
+        const re = globToRegExp(segment);
+        watched.push(dir);
+        for (const name of subdirectories(dir)) {
+          if (re.test(name)) next.push(path.join(dir, name));
+        }
+      } else {
+        next.push(path.join(dir, segment));
+      }
+    }
+    dirs = next;
+  }
+
+  return dirs;
+}
+
+/**
+ * Collect every named workspace package declared by the package.json in
+ * `root`. Negated patterns ("!packages/legacy") exclude directories. The
+ * directories listed and package.json files read are added to `watched`.
+ *
+ * @param {string}   root
+ * @param {string[]} patterns
+ * @param {string[]} watched
+ * @returns {WorkspacePackage[]}
+ */
+function workspacePackages(root, patterns, watched) {
+  const included = new Set();
+  const excluded = new Set();
+  for (const pattern of patterns) {
+    const negated = pattern.startsWith("!");
+    const target = negated ? excluded : included;
+    for (const dir of expandPattern(
+      root,
+      negated ? pattern.slice(1) : pattern,
+      watched,
+    )) {
+      target.add(dir);
+    }
+  }
+
+  const packages = [];
+  for (const dir of included) {
+    if (excluded.has(dir)) continue;
+    const manifest = path.join(dir, "package.json");
+    watched.push(manifest);
+    const pkg = readJson(manifest);
+    if (pkg && typeof pkg.name === "string") {
+      packages.push({ name: pkg.name, dir });
+    }
+  }
+  return packages;
+}
+
+/**
+ * Returns the workspace packages declared by the package.json in `dir`, or
+ * null when it declares none.
+ *
+ * @param {string} dir
+ * @returns {WorkspacePackage[] | null}
+ */
+function workspaceAt(dir) {
+  return cached(dir, () => {
+    const manifest = path.join(dir, "package.json");
+    const patterns = workspacePatterns(readJson(manifest));
+    const files = [manifest];
+    return {
+      value: patterns ? workspacePackages(dir, patterns, files) : null,
+      files,
+    };
+  });
+}
+
+/**
+ * Find the nearest package.json declaring `workspaces`, searching upward from
+ * the directory of `filepath`, and return its workspace packages. Results are
+ * cached per directory until the files they were read from change.
+ *
+ * Returns an empty list when `filepath` is missing or no workspace root is
+ * found.
+ *
+ * @param {string | undefined} filepath  the file being formatted
+ * @returns {WorkspacePackage[]}
+ */
+function findWorkspaceLayout(filepath) {
+  if (!filepath) return [];
+
+  let dir = path.dirname(path.resolve(filepath));
+  for (;;) {
+    const packages = workspaceAt(dir);
+    if (packages) return packages;
+    const parent = path.dirname(dir);
+    if (parent === dir) return [];
+    dir = parent;
+  }
+}
+
+/**
+ * Returns the names of the workspace packages around `filepath` (see
+ * findWorkspaceLayout).
+ *
+ * @param {string | undefined} filepath  the file being formatted
+ * @returns {string[]}
+ */
+function findWorkspacePackages(filepath) {
+  return [...new Set(findWorkspaceLayout(filepath).map((p) => p.name))];
+}
+
+/**
+ * Returns the directory of the nearest package.json at or above the directory
+ * of `filepath`, or null when there is none.
+ *
+ * @param {string} filepath
+ * @returns {string | null}
+ */
+function findPackageDir(filepath) {
+  let dir = path.dirname(path.resolve(filepath));
+  for (;;) {
+    if (fs.existsSync(path.join(dir, "package.json"))) return dir;
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+module.exports = { findPackageDir, findWorkspaceLayout, findWorkspacePackages };
@@ -0,0 +1,147 @@
+"use strict";
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const {
+  exportedSymbols,
+  fileSymbols,
+  nameBareImport,
+  resolveImportFile,
+} = require("../src/bare-imports");
+const { makeTempTree, removeTree } = require("./temp-tree");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Unit: fileSymbols
+// ─────────────────────────────────────────────────────────────────────────────
+describe("fileSymbols", () => {
+  it("collects file-level declarations only", () => {
+    const { declared } = fileSymbols(`pragma solidity ^0.8.0;
+
+// contract Commented {}
+uint256 constant MAX = 1;
+type Price is uint256;
+error Unauthorized(address caller);
+struct Point { uint256 x; }
+enum Side { Buy, Sell }
+function helper(uint256 a) pure returns (uint256) { return a; }
+abstract contract Base {
+    event Inner();
+    struct Nested { uint256 y; }
+}
+interface IVault {}
+library Math {}
+`);
+    assert.deepEqual(declared, [
+      "MAX",
+      "Price",
+      "Unauthorized",
+      "Point",
+      "Side",
+      "helper",
+      "Base",
+      "IVault",
+      "Math",
+    ]);
+  });
+
+  it("includes the names imports bind and lists bare imports", () => {
+    assert.deepEqual(
+      fileSymbols(`import { A, B as C } from "./ab.sol";
+import * as Lib from "./lib.sol";
+import "./types.sol" as Types;
+import "./all.sol";
+`),
+      { declared: ["A", "C", "Lib", "Types"], bareImports: ["./all.sol"] },
+    );
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Unit: resolution on disk
+// ─────────────────────────────────────────────────────────────────────────────
+describe("resolveImportFile / exportedSymbols / nameBareImport", () => {
+  let root;
+  let file;
+  const project = () => ({
+    root,
+    remappings: [{ context: "", prefix: "@oz/", target: "lib/oz/" }],
+    libs: ["lib"],
+  });
+  const context = (bracketSpacing = true) => ({
+    filepath: file,
+    project: project(),
+    bracketSpacing,
+  });
+
+  before(() => {
+    root = makeTempTree({
+      "src/Types.sol": `import "./Errors.sol";
+struct Order { uint256 id; }
+enum Side { Buy, Sell }
+`,
+      "src/Errors.sol": "error Unauthorized();\n",
+      "src/Broken.sol": 'import "./Missing.sol";\nstruct Lost { uint256 x; }\n',
+      "lib/oz/Ownable.sol": "abstract contract Ownable {}\n",
+      "node_modules/@pkg/x/X.sol": "interface IX {}\n",
+      "src/Pool.sol": "",
+    });
+    file = path.join(root, "src/Pool.sol");
+  });
+
+  after(() => {
+    removeTree(root);
+  });
+
+  it("resolves relative, remapped and node_modules paths", () => {
+    assert.equal(
+      resolveImportFile("./Types.sol", file, null),
+      path.join(root, "src/Types.sol"),
+    );
+    assert.equal(
+      resolveImportFile("@oz/Ownable.sol", file, project()),
+      path.join(root, "lib/oz/Ownable.sol"),
+    );
+    assert.equal(
+      resolveImportFile("@pkg/x/X.sol", file, null),
+      path.join(root, "node_modules/@pkg/x/X.sol"),
+    );
+    assert.equal(resolveImportFile("./Nope.sol", file, null), null);
+  });
+
+  it("follows bare imports of the imported file", () => {
+    assert.deepEqual(
+      [...exportedSymbols(path.join(root, "src/Types.sol"), null)].sort(),
+      ["Order", "Side", "Unauthorized"],
+    );
+    assert.equal(
+      exportedSymbols(path.join(root, "src/Broken.sol"), null),
+      null,
+    );
+  });
+
+  it("names the used symbols of a bare import", () => {
+    const used = new Set(["Unauthorized", "Order", "uint256"]);
+    assert.equal(
+      nameBareImport('import "./Types.sol"; // types', used, context()),
+      'import { Order, Unauthorized } from "./Types.sol"; // types',
+    );
+    assert.equal(
+      nameBareImport('import "./Types.sol";', used, context(false)),
+      'import {Order, Unauthorized} from "./Types.sol";',
+    );
+  });
+
+  it("leaves imports it cannot name unchanged", () => {
+    const used = new Set(["Lost", "Ownable", "Order"]);
+    for (const text of [
+      'import "./Broken.sol";',
+      'import "./Nope.sol";',
+      'import "./Errors.sol";',
+      'import { Order } from "./Types.sol";',
+      'import "./Types.sol" as Types;',
+    ]) {
+      assert.equal(nameBareImport(text, used, context()), text);
+    }
+  });
+});
@@ -0,0 +1,280 @@
+"use strict";
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const { ExitCode, expandPatterns, parseArgs, run } = require("../src/cli");
+const { makeTempTree, removeTree, writeTree } = require("./temp-tree");
+
+const UNSORTED = `pragma solidity ^0.8.0;
+
+import "./Local.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+contract A {}
+`;
+
+const SORTED = `pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+import "./Local.sol";
+
+contract A {}
+`;
+
+/**
+ * Run the CLI in `cwd`, capturing its output.
+ */
+async function runCli(argv, cwd) {
+  let stdout = "";
+  let stderr = "";
+  const code = await run(argv, {
+    cwd,
+    stdout: { write: (chunk) => (stdout += chunk) },
+    stderr: { write: (chunk) => (stderr += chunk) },
+  });
+  return { code, stdout, stderr };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Unit: parseArgs
+// ─────────────────────────────────────────────────────────────────────────────
+describe("parseArgs", () => {
+  it("implies --check without --write or --diff", () => {
+    assert.equal(parseArgs([]).check, true);
+    assert.equal(parseArgs(["--write"]).check, false);
+    assert.equal(parseArgs(["--diff"]).check, false);
+    assert.equal(parseArgs(["--explain"]).check, false);
+  });
+
+  it("collects patterns and rejects unknown options", () => {
+    assert.deepEqual(parseArgs(["--write", "src", "test/**/*.sol"]).patterns, [
+      "src",
+      "test/**/*.sol",
+    ]);
+    assert.throws(() => parseArgs(["--fix"]), /Unknown option: --fix/);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Integration: the CLI against a temporary project
+// ─────────────────────────────────────────────────────────────────────────────
+describe("solidity-sort-imports", () => {
+  let root;
+
+  beforeEach(() => {
+    root = makeTempTree({
+      ".prettierrc": { solidityFirstPartyScope: "@org" },
+      "contracts/A.sol": UNSORTED,
+      "contracts/B.sol": SORTED,
+      "node_modules/dep/C.sol": UNSORTED,
+    });
+  });
+
+  afterEach(() => {
+    removeTree(root);
+  });
+
+  it("expands directories and globs, skipping node_modules", () => {
+    assert.deepEqual(expandPatterns(["**/*.sol"], root), [
+      "contracts/A.sol",
+      "contracts/B.sol",
+    ]);
+    assert.deepEqual(expandPatterns(["contracts"], root), [
+      "contracts/A.sol",
+      "contracts/B.sol",
+    ]);
+    assert.deepEqual(expandPatterns(["contracts/A.sol", "*/B.*"], root), [
+      "contracts/A.sol",
+      "contracts/B.sol",
+    ]);
+  });
+
+  it("expands the current directory", async () => {
+    for (const pattern of [".", "./", root]) {
+      assert.deepEqual(expandPatterns([pattern], root), [
+        "contracts/A.sol",
+        "contracts/B.sol",
+      ]);
+    }
+    const { code, stdout } = await runCli(["--check", "."], root);
+    assert.equal(code, ExitCode.UNSORTED);
+    assert.equal(stdout, "contracts/A.sol\n");
+  });
+
+  it("skips Foundry libraries and files Prettier ignores", async () => {
+    writeTree(root, {
+      "foundry.toml": "[profile.default]\n",
+      "lib/dep/X.sol": UNSORTED,
+      "contracts/generated/G.sol": UNSORTED,
+      "contracts/vendored/V.sol": UNSORTED,
+      ".prettierignore": "contracts/generated/\n",
+      ".gitignore": "contracts/vendored/\n",
+    });
+    assert.ok(!expandPatterns(["**/*.sol"], root).includes("lib/dep/X.sol"));
+    assert.deepEqual(expandPatterns(["lib/dep/X.sol"], root), [
+      "lib/dep/X.sol",
+    ]);
+
+    const { code, stdout } = await runCli(["--check"], root);
+    assert.equal(code, ExitCode.UNSORTED);
+    assert.equal(stdout, "contracts/A.sol\n");
+
+    await runCli(["--write"], root);
+    for (const file of [
+      "lib/dep/X.sol",
+      "contracts/generated/G.sol",
+      "contracts/vendored/V.sol",
+    ]) {
+      assert.equal(fs.readFileSync(path.join(root, file), "utf8"), UNSORTED);
+    }
+  });
+
+  it("reports patterns that match no file", async () => {
+    assert.throws(
+      () => expandPatterns(["contracts", "contract/*.sol"], root),
+      /No files matching the pattern were found: "contract\/\*\.sol"/,
+    );
+    const { code, stdout, stderr } = await runCli(["--check", "src"], root);
+    assert.equal(code, ExitCode.ERROR);
+    assert.equal(stdout, "");
+    assert.match(stderr, /No files matching the pattern were found: "src"/);
+  });
+
+  it("--check lists unsorted files and exits non-zero", async () => {
+    const { code, stdout, stderr } = await runCli(["--check"], root);
+    assert.equal(code, ExitCode.UNSORTED);
+    assert.equal(stdout, "contracts/A.sol\n");
+    assert.match(stderr, /not sorted in 1 file\./);
+    assert.equal(
+      fs.readFileSync(path.join(root, "contracts/A.sol"), "utf8"),
+      UNSORTED,
+    );
+  });
+
+  it("--check exits zero when everything is sorted", async () => {
+    const { code, stdout } = await runCli(["contracts/B.sol"], root);
+    assert.equal(code, ExitCode.OK);
+    assert.equal(stdout, "");
+  });
+
+  it("--write rewrites unsorted files", async () => {
+    const { code } = await runCli(["--write"], root);
+    assert.equal(code, ExitCode.OK);
+    assert.equal(
+      fs.readFileSync(path.join(root, "contracts/A.sol"), "utf8"),
+      SORTED,
+    );
+  });
+
+  it("--diff prints a unified diff without writing", async () => {
+    const { code, stdout } = await runCli(["--diff"], root);
+    assert.equal(code, ExitCode.OK);
+    assert.match(
+      stdout,
+      /^--- a\/contracts\/A\.sol\n\+\+\+ b\/contracts\/A\.sol\n@@ /,
+    );
+    assert.match(stdout, /\n-import "\.\/Local\.sol";\n/);
+    assert.equal(
+      fs.readFileSync(path.join(root, "contracts/A.sol"), "utf8"),
+      UNSORTED,
+    );
+  });
+
+  it("reads plugin options from .prettierrc", async () => {
+    writeTree(root, {
+      "contracts/D.sol": `pragma solidity ^0.8.0;\n\nimport "./Local.sol";\nimport "@org/pkg/X.sol";\nimport "@other/Y.sol";\n`,
+    });
+    await runCli(["--write", "contracts/D.sol"], root);
+    assert.equal(
+      fs.readFileSync(path.join(root, "contracts/D.sol"), "utf8"),
+      `pragma solidity ^0.8.0;\n\nimport "@other/Y.sol";\n\nimport "@org/pkg/X.sol";\n\nimport "./Local.sol";\n`,
+    );
+  });
+
+  it("--staged only processes and rewrites fully staged files", async () => {
+    const git = (...args) =>
+      execFileSync("git", args, { cwd: root, encoding: "utf8" });
+    git("init", "-q");
+    git("add", "contracts/A.sol");
+
+    writeTree(root, { "contracts/E.sol": UNSORTED });
+    const check = await runCli(["--staged"], root);
+    assert.equal(check.code, ExitCode.UNSORTED);
+    assert.equal(check.stdout, "contracts/A.sol\n");
+
+    const write = await runCli(["--staged", "--write"], root);
+    assert.equal(write.code, ExitCode.OK);
+    assert.equal(git("show", ":contracts/A.sol"), SORTED);
+    assert.equal(
+      fs.readFileSync(path.join(root, "contracts/A.sol"), "utf8"),
+      SORTED,
+    );
+    assert.equal(
+      fs.readFileSync(path.join(root, "contracts/E.sol"), "utf8"),
+      UNSORTED,
+    );
+  });
+
+  it("--staged checks and sorts the staged version only", async () => {
+    const git = (...args) =>
+      execFileSync("git", args, { cwd: root, encoding: "utf8" });
+    git("init", "-q");
+    git("add", "contracts/A.sol", "contracts/B.sol");
+
+    // B is sorted in the index; only its unstaged copy is not.
+    const unstagedB = UNSORTED.replace(
+      "contract A {}",
+      "contract A { uint wip; }",
+    );
+    writeTree(root, { "contracts/B.sol": unstagedB });
+    const check = await runCli(["--staged"], root);
+    assert.equal(check.code, ExitCode.UNSORTED);
+    assert.equal(check.stdout, "contracts/A.sol\n");
+
+    // A is unsorted in the index and has an unstaged change on top.
+    const unstagedA = UNSORTED.replace(
+      "contract A {}",
+      "contract A { uint wip; }",
+    );
+    writeTree(root, { "contracts/A.sol": unstagedA });
+    const write = await runCli(["--staged", "--write"], root);
+    assert.equal(write.code, ExitCode.OK);
+    assert.equal(git("show", ":contracts/A.sol"), SORTED);
+    assert.equal(
+      fs.readFileSync(path.join(root, "contracts/A.sol"), "utf8"),
+      unstagedA,
+    );
+    assert.equal(git("show", ":contracts/B.sol"), SORTED);
+    assert.equal(
+      fs.readFileSync(path.join(root, "contracts/B.sol"), "utf8"),
+      unstagedB,
+    );
+  });
+
+  it("--explain prints the decision for every import", async () => {
+    const { code, stdout } = await runCli(
+      ["--explain", "contracts/A.sol"],
+      root,
+    );
+    assert.equal(code, ExitCode.OK);
+    assert.equal(
+      stdout,
+      [
+        "contracts/A.sol",
+        "  3 -> 5  group 4 <relative>  bare  ./Local.sol",
+        "  4 -> 3  group 1 *  bare  @openzeppelin/contracts/token/ERC20/IERC20.sol",
+        "",
+      ].join("\n"),
+    );
+  });
+
+  it("reports usage errors with exit code 2", async () => {
+    const { code, stderr } = await runCli(["--bogus"], root);
+    assert.equal(code, ExitCode.ERROR);
+    assert.match(stderr, /Usage: solidity-sort-imports/);
+  });
+});
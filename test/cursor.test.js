@@ -0,0 +1,48 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { mapOffset } = require("../src/cursor");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Unit: mapOffset
+// ─────────────────────────────────────────────────────────────────────────────
+describe("mapOffset", () => {
+  const oldText = "header\nimport b;\nimport a;\nbody\n";
+  const newText = "header\n\nimport a;\nimport b;\n\nbody\n";
+  const moves = [
+    { oldStart: 1, oldEnd: 1, newStart: 3, newEnd: 3 },
+    { oldStart: 2, oldEnd: 2, newStart: 2, newEnd: 2 },
+  ];
+
+  it("keeps the cursor on a moved line and column", () => {
+    const offset = oldText.indexOf("b;") + 1;
+    assert.equal(
+      mapOffset(oldText, newText, offset, moves),
+      newText.indexOf("b;") + 1,
+    );
+  });
+
+  it("follows the line diff outside the moves", () => {
+    assert.equal(mapOffset(oldText, newText, 3, moves), 3);
+    const body = oldText.indexOf("body") + 2;
+    assert.equal(
+      mapOffset(oldText, newText, body, moves),
+      newText.indexOf("body") + 2,
+    );
+  });
+
+  it("moves a cursor on a removed line to the line that replaced it", () => {
+    assert.equal(mapOffset("a\nx\nc", "a\nyy\nc", 3, []), 3);
+    assert.equal(mapOffset("a\nremoved\nc", "a\nc", 5, []), 3);
+  });
+
+  it("clamps the line to its move and the column to the line", () => {
+    const moved = [{ oldStart: 0, oldEnd: 2, newStart: 0, newEnd: 0 }];
+    assert.equal(
+      mapOffset("import {\n  A\n} from x;", "import {A} from x;", 11, moved),
+      2,
+    );
+    assert.equal(mapOffset("same\nlong line", "same\nshort", 14, []), 10);
+  });
+});
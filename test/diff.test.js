@@ -0,0 +1,118 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const { diffLines, splitLines, unifiedDiff } = require("../src/diff");
+const { withTempTree } = require("./temp-tree");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Unit: diffLines
+// ─────────────────────────────────────────────────────────────────────────────
+describe("diffLines", () => {
+  it("keeps equal lines and lists removals before additions", () => {
+    assert.deepEqual(diffLines(["a", "b", "c"], ["a", "c", "b"]), [
+      { op: " ", line: "a" },
+      { op: "-", line: "b" },
+      { op: " ", line: "c" },
+      { op: "+", line: "b" },
+    ]);
+  });
+
+  it("handles empty inputs", () => {
+    assert.deepEqual(diffLines([], ["x"]), [{ op: "+", line: "x" }]);
+    assert.deepEqual(diffLines(["x"], []), [{ op: "-", line: "x" }]);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Unit: unifiedDiff
+// ─────────────────────────────────────────────────────────────────────────────
+describe("unifiedDiff", () => {
+  it("returns an empty string for equal texts", () => {
+    assert.equal(unifiedDiff("a\nb\n", "a\nb\n"), "");
+  });
+
+  it("renders a single hunk with context", () => {
+    const before =
+      'pragma solidity ^0.8.0;\n\nimport "b.sol";\nimport "a.sol";\n\ncontract C {}\n';
+    const after =
+      'pragma solidity ^0.8.0;\n\nimport "a.sol";\nimport "b.sol";\n\ncontract C {}\n';
+    assert.equal(
+      unifiedDiff(before, after, { fromFile: "a/C.sol", toFile: "b/C.sol" }),
+      [
+        "--- a/C.sol",
+        "+++ b/C.sol",
+        "@@ -1,6 +1,6 @@",
+        " pragma solidity ^0.8.0;",
+        " ",
+        '-import "b.sol";',
+        ' import "a.sol";',
+        '+import "b.sol";',
+        " ",
+        " contract C {}",
+        "",
+      ].join("\n"),
+    );
+  });
+
+  it("marks lines without a final newline", () => {
+    assert.equal(
+      unifiedDiff("a\nb", "a\nc\n"),
+      [
+        "--- a",
+        "+++ b",
+        "@@ -1,2 +1,2 @@",
+        " a",
+        "-b",
+        "\\ No newline at end of file",
+        "+c",
+        "",
+      ].join("\n"),
+    );
+  });
+
+  it("renders patches that git applies", () => {
+    const cases = [
+      ["x\ny\nz\n", "z\nx\n\ny\n"],
+      ["a\nb", "b\na"],
+      ["a\nb\n", "a\nb"],
+      ["a\r\nb\r\n", "b\r\na\r\n"],
+    ];
+    for (const [before, after] of cases) {
+      withTempTree({ "C.sol": before }, (root) => {
+        const patch = unifiedDiff(before, after, {
+          fromFile: "a/C.sol",
+          toFile: "b/C.sol",
+        });
+        fs.writeFileSync(path.join(root, "fix.patch"), patch);
+        execFileSync("git", ["apply", "fix.patch"], { cwd: root });
+        assert.equal(fs.readFileSync(path.join(root, "C.sol"), "utf8"), after);
+      });
+    }
+  });
+
+  it("splits distant changes into separate hunks", () => {
+    const before = ["x", "1", "2", "3", "4", "5", "6", "7", "8", "y"].join(
+      "\n",
+    );
+    const after = ["X", "1", "2", "3", "4", "5", "6", "7", "8", "Y"].join("\n");
+    const hunks = unifiedDiff(before, after, { context: 1 })
+      .split("\n")
+      .filter((line) => line.startsWith("@@"));
+    assert.deepEqual(hunks, ["@@ -1,2 +1,2 @@", "@@ -9,2 +9,2 @@"]);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Unit: splitLines
+// ─────────────────────────────────────────────────────────────────────────────
+describe("splitLines", () => {
+  it("keeps line endings and adds no line after a final newline", () => {
+    assert.deepEqual(splitLines("a\r\nb\n"), ["a\r\n", "b\n"]);
+    assert.deepEqual(splitLines("a\nb"), ["a\n", "b"]);
+    assert.deepEqual(splitLines(""), []);
+  });
+});
@@ -0,0 +1,89 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { applyEdits, computeEdits, renderEdits } = require("../src/edits");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Unit: computeEdits
+// ─────────────────────────────────────────────────────────────────────────────
+describe("computeEdits", () => {
+  it("returns no edits for equal texts", () => {
+    assert.deepEqual(computeEdits("a\nb\n", "a\nb\n"), []);
+  });
+
+  it("replaces each run of changed lines", () => {
+    assert.deepEqual(computeEdits("a\nb\nc\nd\n", "a\nB\nc\nd\ne\n"), [
+      { start: 2, end: 4, newText: "B\n" },
+      { start: 8, end: 8, newText: "e\n" },
+    ]);
+  });
+
+  it("keeps line endings in the edits", () => {
+    assert.deepEqual(computeEdits("a\r\nb\r\n", "b\r\na\r\n"), [
+      { start: 0, end: 3, newText: "" },
+      { start: 6, end: 6, newText: "a\r\n" },
+    ]);
+  });
+
+  it("handles a missing final newline", () => {
+    const edits = computeEdits("a\nb", "a\nc");
+    assert.deepEqual(edits, [{ start: 2, end: 3, newText: "c" }]);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Unit: applyEdits
+// ─────────────────────────────────────────────────────────────────────────────
+describe("applyEdits", () => {
+  it("applies edits in any order", () => {
+    assert.equal(
+      applyEdits("abcdef", [
+        { start: 4, end: 6, newText: "X" },
+        { start: 0, end: 1, newText: "" },
+        { start: 2, end: 2, newText: "-" },
+      ]),
+      "b-cdX",
+    );
+  });
+
+  it("round-trips computeEdits", () => {
+    const oldText = "x\ny\nz\n";
+    const newText = "z\nx\n\ny\n";
+    assert.equal(applyEdits(oldText, computeEdits(oldText, newText)), newText);
+  });
+
+  it("rejects overlapping or out-of-range edits", () => {
+    assert.throws(
+      () =>
+        applyEdits("abc", [
+          { start: 0, end: 2, newText: "" },
+          { start: 1, end: 3, newText: "" },
+        ]),
+      /Invalid edit \{"start":1,"end":3\}/,
+    );
+    assert.throws(
+      () => applyEdits("abc", [{ start: 2, end: 4, newText: "" }]),
+      /Invalid edit/,
+    );
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Unit: renderEdits
+// ─────────────────────────────────────────────────────────────────────────────
+describe("renderEdits", () => {
+  it("renders the edits as a unified diff", () => {
+    assert.equal(
+      renderEdits("a\nb\n", [{ start: 0, end: 2, newText: "A\n" }], {
+        fromFile: "a/X.sol",
+        toFile: "b/X.sol",
+      }),
+      "--- a/X.sol\n+++ b/X.sol\n@@ -1,2 +1,2 @@\n-a\n+A\n b\n",
+    );
+  });
+
+  it("renders nothing for no edits", () => {
+    assert.equal(renderEdits("a\n", []), "");
+  });
+});
@@ -0,0 +1,56 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { fileCache } = require("../src/file-cache");
+const { withTempTree } = require("./temp-tree");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Unit: fileCache
+// ─────────────────────────────────────────────────────────────────────────────
+describe("fileCache", () => {
+  it("reuses a value until one of its files changes", () =>
+    withTempTree({ "a.txt": "one" }, (root) => {
+      const file = path.join(root, "a.txt");
+      const cached = fileCache();
+      let loads = 0;
+      const read = () =>
+        cached("a", () => {
+          loads++;
+          return { value: fs.readFileSync(file, "utf8"), files: [file] };
+        });
+
+      assert.equal(read(), "one");
+      assert.equal(read(), "one");
+      assert.equal(loads, 1);
+
+      fs.writeFileSync(file, "three");
+      assert.equal(read(), "three");
+      assert.equal(loads, 2);
+    }));
+
+  it("caches failed lookups until the missing file appears", () =>
+    withTempTree({}, (root) => {
+      const file = path.join(root, "missing.txt");
+      const cached = fileCache();
+      let loads = 0;
+      const read = () =>
+        cached("missing", () => {
+          loads++;
+          return {
+            value: fs.existsSync(file) ? fs.readFileSync(file, "utf8") : null,
+            files: [file],
+          };
+        });
+
+      assert.equal(read(), null);
+      assert.equal(read(), null);
+      assert.equal(loads, 1);
+
+      fs.writeFileSync(file, "here");
+      assert.equal(read(), "here");
+      assert.equal(loads, 2);
+    }));
+});
@@ -0,0 +1,99 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  ImportKind,
+  decodeString,
+  parseImportDirective,
+} = require("../src/import-directive");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Unit: parseImportDirective — one test per grammar form
+// ─────────────────────────────────────────────────────────────────────────────
+describe("parseImportDirective", () => {
+  it('parses import "path";', () => {
+    assert.deepEqual(parseImportDirective('import "./A.sol";'), {
+      kind: ImportKind.BARE,
+      path: "./A.sol",
+      alias: null,
+      symbols: null,
+      pathStart: 7,
+      pathEnd: 16,
+    });
+  });
+
+  it('parses import "path" as Unit;', () => {
+    const directive = parseImportDirective("import './A.sol' as A;");
+    assert.equal(directive.kind, ImportKind.ALIASED);
+    assert.equal(directive.path, "./A.sol");
+    assert.equal(directive.alias, "A");
+  });
+
+  it('parses import * as Unit from "path";', () => {
+    const directive = parseImportDirective('import * as Lib from "lib.sol";');
+    assert.equal(directive.kind, ImportKind.NAMESPACE);
+    assert.equal(directive.path, "lib.sol");
+    assert.equal(directive.alias, "Lib");
+  });
+
+  it('parses import { A, B as C } from "path";', () => {
+    const directive = parseImportDirective(
+      'import {\n    A,\n    B as C\n} from "x.sol";',
+    );
+    assert.equal(directive.kind, ImportKind.NAMED);
+    assert.equal(directive.alias, null);
+    assert.deepEqual(directive.symbols, [
+      { name: "A", alias: null },
+      { name: "B", alias: "C" },
+    ]);
+  });
+
+  it("ignores comments, including quoted paths inside them", () => {
+    const text =
+      'import /* "y.sol" */ { A /* , B */ } from "a.sol"; // see "b.sol"';
+    const directive = parseImportDirective(text);
+    assert.equal(directive.path, "a.sol");
+    assert.equal(text.slice(directive.pathStart, directive.pathEnd), '"a.sol"');
+  });
+
+  it("decodes escaped quotes in the path", () => {
+    assert.equal(
+      parseImportDirective('import "./it\\"s.sol";').path,
+      './it"s.sol',
+    );
+    assert.equal(
+      parseImportDirective("import './it\\'s.sol';").path,
+      "./it's.sol",
+    );
+  });
+
+  it("rejects anything that is not exactly one import directive", () => {
+    for (const text of [
+      "pragma solidity ^0.8.0;",
+      'import "a.sol"',
+      'import "a.sol"; import "b.sol";',
+      'import {} from "a.sol";',
+      'import * from "a.sol";',
+      'import A from "a.sol";',
+      'import "";',
+      'import unicode"a.sol";',
+      'import "a.sol" as;',
+    ]) {
+      assert.equal(parseImportDirective(text), null, text);
+    }
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Unit: decodeString
+// ─────────────────────────────────────────────────────────────────────────────
+describe("decodeString", () => {
+  it("decodes Solidity escape sequences", () => {
+    assert.equal(decodeString("a\\\\b\\x41\\u0042\\n"), "a\\bAB\n");
+  });
+
+  it("rejects unknown escapes", () => {
+    assert.equal(decodeString("a\\qb"), null);
+  });
+});
@@ -0,0 +1,242 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  DEFAULT_GROUP_LABELS,
+  DEFAULT_IMPORT_GROUPS,
+  SPLIT_INTERFACE_GROUPS,
+  compileMatcher,
+  globToRegExp,
+  groupLabels,
+  interfaceDetector,
+  matchGroup,
+  compileGroups,
+} = require("../src/import-groups");
+
+const NO_TRAITS = { relative: false, firstParty: false, interface: false };
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Unit: globToRegExp
+// ─────────────────────────────────────────────────────────────────────────────
+describe("globToRegExp", () => {
+  it("matches ** across directories and * within a segment", () => {
+    assert.ok(globToRegExp("@openzeppelin/**").test("@openzeppelin/a/b/C.sol"));
+    assert.ok(globToRegExp("@openzeppelin/*").test("@openzeppelin/C.sol"));
+    assert.ok(!globToRegExp("@openzeppelin/*").test("@openzeppelin/a/C.sol"));
+  });
+
+  it("lets **/ match zero directories", () => {
+    const re = globToRegExp("**/mocks/**");
+    assert.ok(re.test("mocks/Foo.sol"));
+    assert.ok(re.test("./test/mocks/Foo.sol"));
+    assert.ok(!re.test("./test/mocksuite/Foo.sol"));
+  });
+
+  it("escapes regex metacharacters", () => {
+    assert.ok(globToRegExp("a.b/?.sol").test("a.b/X.sol"));
+    assert.ok(!globToRegExp("a.b/?.sol").test("axb/X.sol"));
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Unit: compileMatcher
+// ─────────────────────────────────────────────────────────────────────────────
+describe("compileMatcher", () => {
+  it("treats a wildcard-free glob as a package prefix", () => {
+    const m = compileMatcher("forge-std");
+    assert.ok(m.test("forge-std/Test.sol", NO_TRAITS));
+    assert.ok(!m.test("forge-std-extra/Test.sol", NO_TRAITS));
+  });
+
+  it("compiles slash-delimited regular expressions with flags", () => {
+    const m = compileMatcher("/^@OZ\\//i");
+    assert.ok(m.test("@oz/contracts/X.sol", NO_TRAITS));
+    assert.ok(!m.test("./oz/X.sol", NO_TRAITS));
+  });
+
+  it("tests pseudo-matchers against path traits", () => {
+    const traits = { relative: false, firstParty: true, interface: true };
+    assert.ok(compileMatcher("<first-party>").test("x", traits));
+    assert.ok(compileMatcher("<first-party-interfaces>").test("x", traits));
+    assert.ok(!compileMatcher("<relative>").test("x", traits));
+    assert.ok(compileMatcher("*").catchAll);
+  });
+
+  it("splits third-party and relative interfaces", () => {
+    const external = { relative: false, firstParty: false, interface: true };
+    const local = { relative: true, firstParty: false, interface: true };
+    const thirdParty = compileMatcher("<third-party-interfaces>");
+    const relative = compileMatcher("<relative-interfaces>");
+    assert.ok(thirdParty.test("x", external));
+    assert.ok(!thirdParty.test("x", local));
+    assert.ok(relative.test("x", local));
+    assert.ok(!relative.test("x", { ...local, interface: false }));
+  });
+
+  it("rejects unknown pseudo-matchers and invalid regexes", () => {
+    assert.throws(() => compileMatcher("<mocks>"), /Unknown/);
+    assert.throws(
+      () => compileMatcher("/[/"),
+      /Invalid solidityImportGroups matcher "\/\[\/"/,
+    );
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Unit: matchGroup
+// ─────────────────────────────────────────────────────────────────────────────
+describe("matchGroup", () => {
+  it("gives specific matchers precedence over an earlier catch-all", () => {
+    const groups = compileGroups(["*", "forge-std"]);
+    assert.equal(matchGroup("forge-std/Test.sol", NO_TRAITS, groups).index, 1);
+    assert.equal(matchGroup("solmate/ERC20.sol", NO_TRAITS, groups).index, 0);
+  });
+
+  it("uses the first matching group in list order", () => {
+    const groups = compileGroups(["**/mocks/**", "<relative>"]);
+    const traits = { ...NO_TRAITS, relative: true };
+    assert.equal(matchGroup("./mocks/M.sol", traits, groups).index, 0);
+    assert.equal(matchGroup("./M.sol", traits, groups).index, 1);
+  });
+
+  it("puts unmatched imports in an implicit trailing group", () => {
+    const groups = compileGroups(["forge-std"]);
+    const result = matchGroup("solmate/ERC20.sol", NO_TRAITS, groups);
+    assert.equal(result.index, 1);
+    assert.equal(result.matcher, null);
+  });
+
+  it("falls back to the default layout for a missing or empty list", () => {
+    assert.deepEqual(
+      compileGroups([]).map((m) => m.source),
+      DEFAULT_IMPORT_GROUPS,
+    );
+    assert.deepEqual(
+      compileGroups(undefined).map((m) => m.source),
+      DEFAULT_IMPORT_GROUPS,
+    );
+  });
+
+  it("falls back to the split layout when every import is split", () => {
+    assert.deepEqual(
+      compileGroups([], "all").map((m) => m.source),
+      SPLIT_INTERFACE_GROUPS,
+    );
+    assert.deepEqual(
+      compileGroups(["forge-std"], "all").map((m) => m.source),
+      ["forge-std"],
+    );
+    assert.throws(() => compileGroups([], "some"), /solidityInterfaceSplit/);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Unit: groupLabels
+// ─────────────────────────────────────────────────────────────────────────────
+describe("groupLabels", () => {
+  it("labels the default layout", () => {
+    assert.deepEqual(groupLabels([], []), [...DEFAULT_GROUP_LABELS, "Other"]);
+  });
+
+  it("names pseudo-matcher groups for custom layouts", () => {
+    assert.deepEqual(
+      groupLabels(undefined, ["<relative>", "*", "<third-party-interfaces>"]),
+      ["Local", "External", "External interfaces", "Other"],
+    );
+  });
+
+  it("derives labels from the path a glob or regex spells out", () => {
+    assert.deepEqual(
+      groupLabels(undefined, [
+        "forge-std",
+        "@openzeppelin/contracts/**",
+        "**/mocks/**",
+        "/^forge-std\\//",
+        "/^@oz\\/contracts\\.sol$/i",
+      ]),
+      [
+        "forge-std",
+        "@openzeppelin/contracts",
+        "mocks",
+        "forge-std",
+        "@oz/contracts.sol",
+        "Other",
+      ],
+    );
+  });
+
+  it("requires a label when none can be derived", () => {
+    assert.throws(
+      () => groupLabels(undefined, ["*.sol"]),
+      /Cannot derive a header label .*"\*\.sol".*solidityImportGroupLabels/,
+    );
+    assert.throws(
+      () => groupLabels(undefined, ["/^(oz|solmate)\\//"]),
+      /Cannot derive a header label/,
+    );
+    assert.deepEqual(groupLabels(["Sources"], ["*.sol"]), ["Sources", "Other"]);
+  });
+
+  it("prefers configured labels, skipping blank ones", () => {
+    assert.deepEqual(groupLabels(["Vendor", " ", "Leftovers"], ["a", "b"]), [
+      "Vendor",
+      "b",
+      "Leftovers",
+    ]);
+  });
+
+  it("labels the split layout", () => {
+    assert.deepEqual(groupLabels([], [], "all"), [
+      "External interfaces",
+      "External",
+      "Interfaces",
+      "First-party",
+      "Local interfaces",
+      "Local",
+      "Other",
+    ]);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Unit: interfaceDetector
+// ─────────────────────────────────────────────────────────────────────────────
+describe("interfaceDetector", () => {
+  it("matches segments containing 'interfaces' by default", () => {
+    const isInterface = interfaceDetector();
+    assert.ok(isInterface("@b/v3-interfaces/X.sol", "@b/v3-interfaces/X.sol"));
+    assert.ok(isInterface("@x/Y.sol", "src/interfaces/Y.sol"));
+    assert.ok(!isInterface("@b/vault/IVault.sol", "@b/vault/IVault.sol"));
+  });
+
+  it("matches file names", () => {
+    const isInterface = interfaceDetector({ fileNames: "^I[A-Z]" });
+    assert.ok(isInterface("./IVault.sol", "./IVault.sol"));
+    assert.ok(!isInterface("./Index.sol", "./Index.sol"));
+    assert.ok(!isInterface("./interfaces/Vault.sol", "./interfaces/Vault.sol"));
+  });
+
+  it("matches segment names, globs and regexes on either path", () => {
+    const isInterface = interfaceDetector({
+      patterns: ["interfaces", "lib/*-api/**", "/Iface\\.sol$/i"],
+    });
+    assert.ok(isInterface("./interfaces/A.sol", "./interfaces/A.sol"));
+    assert.ok(
+      !isInterface("./interfaces-mocks/A.sol", "./interfaces-mocks/A.sol"),
+    );
+    assert.ok(isInterface("@api/A.sol", "lib/vault-api/src/A.sol"));
+    assert.ok(isInterface("./VaultIFACE.sol", "./VaultIFACE.sol"));
+  });
+
+  it("rejects invalid regexes", () => {
+    assert.throws(
+      () => interfaceDetector({ fileNames: "[" }),
+      /solidityInterfaceFileNames/,
+    );
+    assert.throws(
+      () => interfaceDetector({ patterns: ["/[/"] }),
+      /Invalid solidityInterfacePatterns entry "\/\[\/"/,
+    );
+  });
+});
@@ -0,0 +1,123 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  ImportOrder,
+  KindOrder,
+  importComparator,
+  packageOf,
+} = require("../src/import-order");
+
+/**
+ * Sort bare imports of the given paths and return the paths.
+ */
+function order(paths, ...args) {
+  return paths
+    .map((path) => ({ path, specific: false }))
+    .sort(importComparator(...args))
+    .map((i) => i.path);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Unit: packageOf
+// ─────────────────────────────────────────────────────────────────────────────
+describe("packageOf", () => {
+  it("splits scoped, unscoped and relative paths", () => {
+    assert.deepEqual(packageOf("@openzeppelin/contracts/token/ERC20.sol"), {
+      name: "@openzeppelin/contracts",
+      depth: 2,
+    });
+    assert.deepEqual(packageOf("forge-std/Test.sol"), {
+      name: "forge-std",
+      depth: 1,
+    });
+    assert.deepEqual(packageOf("../../lib/Math.sol"), {
+      name: "../../",
+      depth: 2,
+    });
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Unit: importComparator
+// ─────────────────────────────────────────────────────────────────────────────
+describe("importComparator", () => {
+  const paths = ["b/v10.sol", "B/x.sol", "b/v2.sol", "a/deep/er/Z.sol"];
+
+  it("defaults to longest path first", () => {
+    assert.deepEqual(order(paths), [
+      "a/deep/er/Z.sol",
+      "b/v10.sol",
+      "b/v2.sol",
+      "B/x.sol",
+    ]);
+  });
+
+  it("orders alphabetically by code point", () => {
+    assert.deepEqual(order(paths, ImportOrder.ALPHABETICAL), [
+      "B/x.sol",
+      "a/deep/er/Z.sol",
+      "b/v10.sol",
+      "b/v2.sol",
+    ]);
+  });
+
+  it("orders naturally, ignoring case and comparing numbers", () => {
+    assert.deepEqual(order(paths, ImportOrder.NATURAL), [
+      "a/deep/er/Z.sol",
+      "b/v2.sol",
+      "b/v10.sol",
+      "B/x.sol",
+    ]);
+  });
+
+  it("orders by package, then depth", () => {
+    assert.deepEqual(
+      order(
+        [
+          "@oz/contracts/token/ERC20/ERC20.sol",
+          "forge-std/Test.sol",
+          "@oz/contracts/access/Ownable.sol",
+          "@oz/contracts/Context.sol",
+          "./A.sol",
+          "../B.sol",
+        ],
+        ImportOrder.PACKAGE,
+      ),
+      [
+        "../B.sol",
+        "./A.sol",
+        "@oz/contracts/Context.sol",
+        "@oz/contracts/access/Ownable.sol",
+        "@oz/contracts/token/ERC20/ERC20.sol",
+        "forge-std/Test.sol",
+      ],
+    );
+  });
+
+  it("splits specific and bare imports as configured", () => {
+    const imports = [
+      { path: "a.sol", specific: false },
+      { path: "bb.sol", specific: true },
+    ];
+    const sorted = (kindOrder) =>
+      [...imports]
+        .sort(importComparator(ImportOrder.ALPHABETICAL, kindOrder))
+        .map((i) => i.path);
+    assert.deepEqual(sorted(KindOrder.SPECIFIC_FIRST), ["bb.sol", "a.sol"]);
+    assert.deepEqual(sorted(KindOrder.BARE_FIRST), ["a.sol", "bb.sol"]);
+    assert.deepEqual(sorted(KindOrder.MIXED), ["a.sol", "bb.sol"]);
+  });
+
+  it("rejects unknown strategies", () => {
+    assert.throws(
+      () => importComparator("random"),
+      /Unknown solidityImportOrder "random"\. Expected one of: length, alphabetical, natural, package/,
+    );
+    assert.throws(
+      () => importComparator(ImportOrder.LENGTH, "last"),
+      /Unknown solidityImportKindOrder "last"/,
+    );
+  });
+});
@@ -0,0 +1,144 @@
+"use strict";
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const {
+  importPathConverter,
+  isRelativePath,
+  normalizeImportPath,
+  rewriteImportPath,
+} = require("../src/import-paths");
+const { makeTempTree, removeTree } = require("./temp-tree");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Unit: isRelativePath
+// ─────────────────────────────────────────────────────────────────────────────
+describe("isRelativePath", () => {
+  it("recognizes ./ and ../ prefixes only", () => {
+    assert.ok(isRelativePath("./A.sol"));
+    assert.ok(isRelativePath("../A.sol"));
+    assert.ok(!isRelativePath(".hidden/A.sol"));
+    assert.ok(!isRelativePath("@oz/A.sol"));
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Unit: normalizeImportPath
+// ─────────────────────────────────────────────────────────────────────────────
+describe("normalizeImportPath", () => {
+  it("drops . segments and duplicate slashes", () => {
+    assert.equal(normalizeImportPath("./a/./b//X.sol"), "./a/b/X.sol");
+  });
+
+  it("applies .. segments to the segment before them", () => {
+    assert.equal(normalizeImportPath("./a/../b/X.sol"), "./b/X.sol");
+    assert.equal(normalizeImportPath("../a/../../X.sol"), "../../X.sol");
+    assert.equal(normalizeImportPath("./../lib/X.sol"), "../lib/X.sol");
+  });
+
+  it("leaves normalized and direct paths alone", () => {
+    assert.equal(normalizeImportPath("../../X.sol"), "../../X.sol");
+    assert.equal(normalizeImportPath("./X.sol"), "./X.sol");
+    assert.equal(normalizeImportPath("@oz//a/../X.sol"), "@oz//a/../X.sol");
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Unit: rewriteImportPath
+// ─────────────────────────────────────────────────────────────────────────────
+describe("rewriteImportPath", () => {
+  it("normalizes and requotes the path literal only", () => {
+    assert.deepEqual(
+      rewriteImportPath("import { A } from './x/../A.sol'; // 'why'", '"'),
+      { text: `import { A } from "./A.sol"; // 'why'`, path: "./A.sol" },
+    );
+    assert.deepEqual(rewriteImportPath('import "@oz/A.sol" as A;', "'"), {
+      text: "import '@oz/A.sol' as A;",
+      path: "@oz/A.sol",
+    });
+  });
+
+  it("leaves literals with escapes or quotes inside as written", () => {
+    const escaped = 'import "./a/\\x41.sol";';
+    assert.equal(rewriteImportPath(escaped, "'").text, escaped);
+    const quoted = `import "./it's/../A.sol";`;
+    assert.equal(rewriteImportPath(quoted, "'").text, quoted);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Unit: importPathConverter
+// ─────────────────────────────────────────────────────────────────────────────
+describe("importPathConverter", () => {
+  let root;
+  let file;
+  const project = () => ({
+    root,
+    remappings: [
+      { context: "", prefix: "forge-std/", target: "lib/forge-std/src/" },
+    ],
+    libs: ["lib"],
+  });
+
+  before(() => {
+    root = makeTempTree({
+      "package.json": { workspaces: ["pkg/*"] },
+      "pkg/vault/package.json": { name: "@org/vault" },
+      "pkg/pool/package.json": { name: "@org/pool" },
+      "pkg/pool/contracts/Pool.sol": "",
+    });
+    file = path.join(root, "pkg/pool/contracts/Pool.sol");
+  });
+
+  after(() => {
+    removeTree(root);
+  });
+
+  it("keeps paths as written by default", () => {
+    assert.equal(importPathConverter(undefined, file, null), null);
+    assert.equal(importPathConverter("by-package", undefined, null), null);
+    assert.throws(
+      () => importPathConverter("absolute", file, null),
+      /solidityImportPathStyle/,
+    );
+  });
+
+  it("turns relative imports across packages into package imports", () => {
+    const convert = importPathConverter("by-package", file, null);
+    assert.equal(
+      convert("../../vault/contracts/Vault.sol"),
+      "@org/vault/contracts/Vault.sol",
+    );
+    assert.equal(
+      convert("../../../node_modules/@oz/contracts/X.sol"),
+      "@oz/contracts/X.sol",
+    );
+    assert.equal(convert("./lib/Math.sol"), "./lib/Math.sol");
+    assert.equal(convert("../../../outside/X.sol"), "../../../outside/X.sol");
+  });
+
+  it("turns package imports of the own package into relative ones", () => {
+    const convert = importPathConverter("by-package", file, null);
+    assert.equal(convert("@org/pool/contracts/lib/Math.sol"), "./lib/Math.sol");
+    assert.equal(convert("@org/pool/test/Helpers.sol"), "../test/Helpers.sol");
+    assert.equal(
+      convert("@org/vault/contracts/Vault.sol"),
+      "@org/vault/contracts/Vault.sol",
+    );
+  });
+
+  it("uses remappings, never treating lib directories as own sources", () => {
+    // The project root is the package of src/Counter.sol, lib/ included.
+    const convert = importPathConverter(
+      "by-package",
+      path.join(root, "src/Counter.sol"),
+      project(),
+    );
+    assert.equal(
+      convert("../lib/forge-std/src/Test.sol"),
+      "forge-std/Test.sol",
+    );
+    assert.equal(convert("forge-std/Test.sol"), "forge-std/Test.sol");
+  });
+});
@@ -0,0 +1,220 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const prettier = require("prettier");
+const plugin = require("../src/index");
+const { createPlugin } = plugin;
+
+const input = `pragma solidity ^0.8.0;
+import "./B.sol";
+import {A,B} from "./A.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+contract X { uint   x; }
+`;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Without prettier-plugin-solidity: identity printer
+// ─────────────────────────────────────────────────────────────────────────────
+describe("plugin without prettier-plugin-solidity", () => {
+  const standalone = createPlugin(null);
+
+  it("only exposes the identity parser", () => {
+    assert.deepEqual(Object.keys(standalone.parsers), [
+      "solidity-import-sorter",
+    ]);
+    assert.deepEqual(standalone.languages[0].parsers, [
+      "solidity-import-sorter",
+    ]);
+  });
+
+  it("sorts imports and leaves all other code as written", async () => {
+    const result = await prettier.format(input, {
+      filepath: "X.sol",
+      plugins: [standalone],
+    });
+    assert.equal(
+      result,
+      `pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+import {A,B} from "./A.sol";
+import "./B.sol";
+
+contract X { uint   x; }
+`,
+    );
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// With prettier-plugin-solidity: wrapped solidity-parse
+// ─────────────────────────────────────────────────────────────────────────────
+describe("plugin with prettier-plugin-solidity", () => {
+  const solidityPlugin = require("prettier-plugin-solidity");
+  const composed = createPlugin(solidityPlugin);
+
+  it("is composed by default when prettier-plugin-solidity is installed", () => {
+    assert.ok(plugin.parsers["solidity-parse"]);
+    assert.equal(plugin.languages[0].parsers[0], "solidity-parse");
+  });
+
+  it("re-exports the solidity printers and keeps the identity parser", () => {
+    assert.ok(composed.printers["solidity-ast"]);
+    assert.ok(composed.parsers["solidity-import-sorter"]);
+    assert.equal(
+      composed.parsers["solidity-parse"].astFormat,
+      solidityPlugin.parsers["solidity-parse"].astFormat,
+    );
+  });
+
+  it("sorts imports before prettier-plugin-solidity formats the file", async () => {
+    const result = await prettier.format(input, {
+      filepath: "X.sol",
+      plugins: [composed],
+    });
+    assert.equal(
+      result,
+      `pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+import {A, B} from "./A.sol";
+import "./B.sol";
+
+contract X {
+    uint x;
+}
+`,
+    );
+  });
+
+  it("leaves line endings and the byte order mark to Prettier", async () => {
+    const result = await prettier.format(
+      "\uFEFF" + input.replace(/\n/g, "\r\n"),
+      { filepath: "X.sol", plugins: [composed], endOfLine: "crlf" },
+    );
+    assert.ok(result.startsWith("\uFEFFpragma solidity ^0.8.0;\r\n\r\nimport"));
+    assert.ok(!/\r(?!\n)|\r\r/.test(result));
+  });
+
+  it("passes plugin options through to the sorter", async () => {
+    const result = await prettier.format(input, {
+      filepath: "X.sol",
+      plugins: [composed],
+      solidityImportGroups: ["<relative>", "*"],
+    });
+    assert.ok(
+      result.indexOf('"./B.sol"') < result.indexOf('"@openzeppelin'),
+      "relative group first",
+    );
+  });
+
+  it("accepts the first-party scopes as a string or an array", async () => {
+    const source =
+      'import "@b/x/B.sol";\nimport "@a/y/A.sol";\nimport "z/Z.sol";\n';
+    const format = (solidityFirstPartyScope) =>
+      prettier.format(source, {
+        filepath: "X.sol",
+        plugins: [composed],
+        solidityFirstPartyScope,
+      });
+    const expected =
+      'import "z/Z.sol";\n\nimport "@a/y/A.sol";\nimport "@b/x/B.sol";\n';
+    assert.equal(await format(["@a", "@b"]), expected);
+    assert.equal(await format("@a, @b"), expected);
+    await assert.rejects(format(["@a", 1]), /solidityFirstPartyScope/);
+  });
+
+  it("runs the wrapped parser's own preprocess step first", () => {
+    const calls = [];
+    const fake = {
+      parsers: {
+        fake: {
+          astFormat: "fake-ast",
+          parse: () => ({}),
+          preprocess(text) {
+            calls.push("delegate");
+            return text.replace("./Z.sol", "./A.sol");
+          },
+        },
+      },
+      printers: {},
+      options: {},
+    };
+    const wrapped = createPlugin(fake).parsers.fake;
+    const out = wrapped.preprocess(
+      'import "./B.sol";\nimport "./Z.sol";\n',
+      {},
+    );
+    assert.deepEqual(calls, ["delegate"]);
+    assert.ok(out.indexOf("./A.sol") < out.indexOf("./B.sol"));
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Editor support: range formatting and cursor offsets
+// ─────────────────────────────────────────────────────────────────────────────
+describe("range formatting and cursor offsets", () => {
+  const plugins = {
+    standalone: createPlugin(null),
+    composed: createPlugin(require("prettier-plugin-solidity")),
+  };
+
+  for (const [name, sorter] of Object.entries(plugins)) {
+    it(`keeps the cursor on the import it is on (${name})`, async () => {
+      const { formatted, cursorOffset } = await prettier.formatWithCursor(
+        input,
+        {
+          filepath: "X.sol",
+          plugins: [sorter],
+          cursorOffset: input.indexOf("Ownable"),
+        },
+      );
+      assert.equal(cursorOffset, formatted.indexOf("Ownable"));
+    });
+
+    it(`leaves the imports alone outside the range (${name})`, async () => {
+      const contract = input.indexOf("contract X");
+      const formatted = await prettier.format(input, {
+        filepath: "X.sol",
+        plugins: [sorter],
+        rangeStart: contract,
+        rangeEnd: input.length,
+      });
+      assert.equal(formatted, input);
+    });
+
+    it(`sorts the imports when the range overlaps them (${name})`, async () => {
+      const start = input.indexOf("./A.sol");
+      const formatted = await prettier.format(input, {
+        filepath: "X.sol",
+        plugins: [sorter],
+        rangeStart: start,
+        rangeEnd: start + 1,
+      });
+      assert.ok(
+        formatted.indexOf("Ownable.sol") < formatted.indexOf("./B.sol"),
+      );
+    });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Module exports beyond the plugin
+// ─────────────────────────────────────────────────────────────────────────────
+describe("module exports", () => {
+  it("exposes the edits API next to the plugin", () => {
+    const source = 'import "./B.sol";\nimport "@oz/A.sol";\n';
+    const edits = plugin.importEdits(source, {});
+    assert.equal(
+      plugin.applyEdits(source, edits),
+      'import "@oz/A.sol";\n\nimport "./B.sol";\n',
+    );
+    assert.match(
+      plugin.renderEdits(source, edits),
+      /^\+import "\.\/B\.sol";$/m,
+    );
+  });
+});
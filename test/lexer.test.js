@@ -0,0 +1,89 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { tokenize, stringValue, TokenType } = require("../src/lexer");
+
+const kinds = (source) => tokenize(source).map((t) => [t.type, t.value]);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Unit: tokenize
+// ─────────────────────────────────────────────────────────────────────────────
+describe("tokenize", () => {
+  it("splits a simple import directive", () => {
+    assert.deepEqual(kinds('import { A } from "./A.sol";'), [
+      [TokenType.IDENTIFIER, "import"],
+      [TokenType.PUNCTUATION, "{"],
+      [TokenType.IDENTIFIER, "A"],
+      [TokenType.PUNCTUATION, "}"],
+      [TokenType.IDENTIFIER, "from"],
+      [TokenType.STRING, '"./A.sol"'],
+      [TokenType.PUNCTUATION, ";"],
+    ]);
+  });
+
+  it("treats line and NatSpec comments as single tokens", () => {
+    assert.deepEqual(kinds('/// @dev import "x.sol";\n// a; b'), [
+      [TokenType.COMMENT, '/// @dev import "x.sol";'],
+      [TokenType.COMMENT, "// a; b"],
+    ]);
+  });
+
+  it("treats a multi-line block comment as one token spanning its lines", () => {
+    const [token] = tokenize('/**\n * import "x.sol";\n */');
+    assert.equal(token.type, TokenType.COMMENT);
+    assert.equal(token.line, 0);
+    assert.equal(token.endLine, 2);
+  });
+
+  it("runs an unterminated block comment to the end of the source", () => {
+    assert.deepEqual(kinds("/* import"), [[TokenType.COMMENT, "/* import"]]);
+  });
+
+  it("keeps escaped quotes and comment markers inside strings", () => {
+    assert.deepEqual(kinds(`"a \\" // b" 'c /* d'`), [
+      [TokenType.STRING, `"a \\" // b"`],
+      [TokenType.STRING, `'c /* d'`],
+    ]);
+  });
+
+  it("lexes hex and unicode literals as single strings", () => {
+    assert.deepEqual(kinds('hex"00ff" unicode"import;" hexValue'), [
+      [TokenType.STRING, 'hex"00ff"'],
+      [TokenType.STRING, 'unicode"import;"'],
+      [TokenType.IDENTIFIER, "hexValue"],
+    ]);
+  });
+
+  it("ends an unterminated string at the line break", () => {
+    const tokens = tokenize('"abc\nimport');
+    assert.equal(tokens[0].value, '"abc');
+    assert.equal(tokens[1].value, "import");
+    assert.equal(tokens[1].line, 1);
+  });
+
+  it("does not include a CRLF carriage return in a line comment", () => {
+    assert.equal(tokenize("// c\r\nx")[0].value, "// c");
+  });
+
+  it("lexes numbers and identifiers containing keywords", () => {
+    assert.deepEqual(kinds("importer = 0x1f_00;"), [
+      [TokenType.IDENTIFIER, "importer"],
+      [TokenType.PUNCTUATION, "="],
+      [TokenType.NUMBER, "0x1f_00"],
+      [TokenType.PUNCTUATION, ";"],
+    ]);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Unit: stringValue
+// ─────────────────────────────────────────────────────────────────────────────
+describe("stringValue", () => {
+  it("strips quotes and prefixes", () => {
+    const [a, b, c] = tokenize(`"./A.sol" 'b' unicode"c"`);
+    assert.equal(stringValue(a), "./A.sol");
+    assert.equal(stringValue(b), "b");
+    assert.equal(stringValue(c), "c");
+  });
+});
@@ -0,0 +1,229 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  bySymbolName,
+  dedupeSymbols,
+  parseNamedImports,
+  sortNamedImports,
+  wrapNamedImports,
+} = require("../src/named-imports");
+
+const sym = (name, alias = null) => ({
+  name,
+  alias,
+  leading: [],
+  trailing: null,
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Unit: parseNamedImports
+// ─────────────────────────────────────────────────────────────────────────────
+describe("parseNamedImports", () => {
+  it("parses names and aliases", () => {
+    const list = parseNamedImports('import { B, A, C as D } from "x.sol";');
+    assert.deepEqual(
+      list.symbols.map((s) => [s.name, s.alias]),
+      [
+        ["B", null],
+        ["A", null],
+        ["C", "D"],
+      ],
+    );
+    assert.equal(list.multiline, false);
+    assert.equal(list.spaced, true);
+  });
+
+  it("records multi-line layout and attached comments", () => {
+    const list = parseNamedImports(`import {
+  // leading
+  B, // trailing B
+  A,
+} from "x.sol";`);
+    assert.equal(list.multiline, true);
+    assert.equal(list.indent, "  ");
+    assert.equal(list.closeIndent, "");
+    assert.equal(list.trailingComma, true);
+    assert.deepEqual(list.symbols[0].leading, ["// leading"]);
+    assert.equal(list.symbols[0].trailing, "// trailing B");
+  });
+
+  it("returns null for imports without a symbol list", () => {
+    assert.equal(parseNamedImports('import "x.sol";'), null);
+    assert.equal(parseNamedImports('import * as X from "x.sol";'), null);
+    assert.equal(parseNamedImports('import "x.sol" as X;'), null);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Unit: bySymbolName / dedupeSymbols
+// ─────────────────────────────────────────────────────────────────────────────
+describe("bySymbolName", () => {
+  it("sorts case-insensitively with uppercase first on ties", () => {
+    const names = [sym("b"), sym("A"), sym("a"), sym("B")]
+      .sort(bySymbolName)
+      .map((s) => s.name);
+    assert.deepEqual(names, ["A", "a", "B", "b"]);
+  });
+
+  it("sorts aliases by their original name", () => {
+    const names = [sym("Zeta", "Alpha"), sym("Beta")]
+      .sort(bySymbolName)
+      .map((s) => s.name);
+    assert.deepEqual(names, ["Beta", "Zeta"]);
+  });
+});
+
+describe("dedupeSymbols", () => {
+  it("keeps distinct aliases of the same name", () => {
+    const result = dedupeSymbols([sym("A"), sym("A", "B"), sym("A")]);
+    assert.deepEqual(
+      result.map((s) => [s.name, s.alias]),
+      [
+        ["A", null],
+        ["A", "B"],
+      ],
+    );
+  });
+
+  it("keeps the comments of dropped duplicates", () => {
+    const dup = { ...sym("A"), leading: ["// again"], trailing: "// t" };
+    const [kept] = dedupeSymbols([sym("A"), dup]);
+    assert.deepEqual(kept.leading, ["// again"]);
+    assert.equal(kept.trailing, "// t");
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Unit: sortNamedImports
+// ─────────────────────────────────────────────────────────────────────────────
+describe("sortNamedImports", () => {
+  it("sorts a single-line list, preserving brace spacing", () => {
+    assert.equal(
+      sortNamedImports('import { B, A, C as D, A } from "x.sol";'),
+      'import { A, B, C as D } from "x.sol";',
+    );
+    assert.equal(
+      sortNamedImports('import {B, A} from "x.sol";'),
+      'import {A, B} from "x.sol";',
+    );
+  });
+
+  it("sorts a multi-line list, keeping indentation and comments", () => {
+    assert.equal(
+      sortNamedImports(`import {
+    ReClammPoolImmutableData,
+    IReClammPoolExtension, // main interface
+    ReClammPoolDynamicData
+} from "./interfaces/IReClammPoolExtension.sol";`),
+      `import {
+    IReClammPoolExtension, // main interface
+    ReClammPoolDynamicData,
+    ReClammPoolImmutableData
+} from "./interfaces/IReClammPoolExtension.sol";`,
+    );
+  });
+
+  it("keeps the closing brace on the last symbol line when written that way", () => {
+    assert.equal(
+      sortNamedImports('import {\n    B,\n    A } from "x.sol";'),
+      'import {\n    A,\n    B } from "x.sol";',
+    );
+  });
+
+  it("preserves CRLF line endings", () => {
+    assert.equal(
+      sortNamedImports('import {\r\n    B,\r\n    A\r\n} from "x.sol";'),
+      'import {\r\n    A,\r\n    B\r\n} from "x.sol";',
+    );
+  });
+
+  it("leaves single-line lists with comments untouched", () => {
+    const text = 'import { B /* keep */, A } from "x.sol";';
+    assert.equal(sortNamedImports(text), text);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Unit: wrapNamedImports
+// ─────────────────────────────────────────────────────────────────────────────
+describe("wrapNamedImports", () => {
+  const options = {
+    printWidth: 80,
+    tabWidth: 4,
+    useTabs: false,
+    bracketSpacing: true,
+  };
+
+  it("joins a hand-wrapped list that fits onto one line", () => {
+    assert.equal(
+      wrapNamedImports('import {\n  A,\n  B,\n} from "./x.sol";', options),
+      'import { A, B } from "./x.sol";',
+    );
+  });
+
+  it("puts one symbol per line when the statement is too long", () => {
+    assert.equal(
+      wrapNamedImports(
+        'import { IReClammPoolExtension, ReClammPoolDynamicData, ReClammPoolImmutableData } from "./interfaces/IReClammPoolExtension.sol";',
+        options,
+      ),
+      `import {
+    IReClammPoolExtension,
+    ReClammPoolDynamicData,
+    ReClammPoolImmutableData
+} from "./interfaces/IReClammPoolExtension.sol";`,
+    );
+  });
+
+  it("measures up to the semicolon, ignoring a trailing comment", () => {
+    const text = 'import { A, B } from "./x.sol"; // ' + "x".repeat(80);
+    assert.equal(wrapNamedImports(text, options), text);
+  });
+
+  it("never breaks a single symbol", () => {
+    const text = `import { FixedPoint } from "@balancer-labs/v3-solidity-utils/contracts/math/FixedPoint.sol";`;
+    assert.equal(wrapNamedImports(text, options), text);
+  });
+
+  it("honors tabWidth, useTabs and bracketSpacing", () => {
+    const narrow = { ...options, printWidth: 20 };
+    assert.equal(
+      wrapNamedImports('import { A, B } from "./x.sol";', {
+        ...narrow,
+        tabWidth: 2,
+      }),
+      'import {\n  A,\n  B\n} from "./x.sol";',
+    );
+    assert.equal(
+      wrapNamedImports('import { A, B } from "./x.sol";', {
+        ...narrow,
+        useTabs: true,
+      }),
+      'import {\n\tA,\n\tB\n} from "./x.sol";',
+    );
+    assert.equal(
+      wrapNamedImports('import { A, B } from "./x.sol";', {
+        ...options,
+        bracketSpacing: false,
+      }),
+      'import {A, B} from "./x.sol";',
+    );
+  });
+
+  it("keeps lists with comments one symbol per line", () => {
+    const text = 'import {\n    A, // why\n    B\n} from "./x.sol";';
+    assert.equal(
+      wrapNamedImports(text, { ...options, tabWidth: 2 }),
+      'import {\n  A, // why\n  B\n} from "./x.sol";',
+    );
+  });
+
+  it("leaves imports without a symbol list alone", () => {
+    assert.equal(
+      wrapNamedImports('import * as X from "./x.sol";', options),
+      'import * as X from "./x.sol";',
+    );
+  });
+});
@@ -0,0 +1,240 @@
+"use strict";
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const {
+  loadProject,
+  locateTarget,
+  parseFoundryToml,
+  parseRemapping,
+  parseRemappingsTxt,
+  resolveRemapping,
+} = require("../src/remappings");
+const { makeTempTree, removeTree, writeTree } = require("./temp-tree");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Unit: parsing
+// ─────────────────────────────────────────────────────────────────────────────
+describe("parseRemapping", () => {
+  it("parses a plain remapping", () => {
+    assert.deepEqual(parseRemapping("@oz/=lib/openzeppelin-contracts/"), {
+      context: "",
+      prefix: "@oz/",
+      target: "lib/openzeppelin-contracts/",
+    });
+  });
+
+  it("parses a remapping with a context", () => {
+    assert.deepEqual(parseRemapping("test/:forge-std/=lib/forge-std/src/"), {
+      context: "test/",
+      prefix: "forge-std/",
+      target: "lib/forge-std/src/",
+    });
+  });
+
+  it("rejects malformed entries", () => {
+    assert.equal(parseRemapping("no-equals"), null);
+    assert.equal(parseRemapping("=lib/"), null);
+    assert.equal(parseRemapping("a/="), null);
+  });
+});
+
+describe("parseRemappingsTxt", () => {
+  it("skips blank lines and comments", () => {
+    const text = "# deps\r\n@oz/=lib/oz/\r\n\r\nsrc/=src/\r\n";
+    assert.deepEqual(
+      parseRemappingsTxt(text).map((r) => r.prefix),
+      ["@oz/", "src/"],
+    );
+  });
+});
+
+describe("parseFoundryToml", () => {
+  it("reads multi-line remappings and libs from the default profile", () => {
+    const toml = `[profile.default]
+src = "src"
+libs = ["lib", 'node_modules']
+remappings = [
+    "@oz/=lib/openzeppelin-contracts/contracts/", # OpenZeppelin
+    'forge-std/=lib/forge-std/src/',
+]
+
+[profile.ci]
+remappings = ["ci/=ci/"]
+`;
+    const { remappings, libs } = parseFoundryToml(toml);
+    assert.deepEqual(libs, ["lib", "node_modules"]);
+    assert.deepEqual(
+      remappings.map((r) => r.prefix),
+      ["@oz/", "forge-std/"],
+    );
+  });
+
+  it("returns nothing when no keys are set", () => {
+    assert.deepEqual(parseFoundryToml('[profile.default]\nsrc = "src"\n'), {
+      remappings: [],
+      libs: null,
+    });
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Unit: resolveRemapping / locateTarget
+// ─────────────────────────────────────────────────────────────────────────────
+describe("resolveRemapping", () => {
+  const project = {
+    root: "/repo",
+    libs: ["lib"],
+    remappings: [
+      { context: "", prefix: "@oz/", target: "lib/oz/contracts/" },
+      { context: "", prefix: "@oz/token/", target: "lib/oz-token/" },
+      { context: "test/", prefix: "@oz/", target: "lib/oz-test/" },
+      { context: "", prefix: "@app/", target: "./src/" },
+    ],
+  };
+
+  it("uses the longest matching prefix", () => {
+    assert.equal(
+      resolveRemapping("@oz/token/ERC20.sol", project, "/repo/src/A.sol"),
+      "lib/oz-token/ERC20.sol",
+    );
+  });
+
+  it("applies a context only to files under it", () => {
+    assert.equal(
+      resolveRemapping("@oz/Ownable.sol", project, "/repo/test/A.t.sol"),
+      "lib/oz-test/Ownable.sol",
+    );
+    assert.equal(
+      resolveRemapping("@oz/Ownable.sol", project, "/repo/src/A.sol"),
+      "lib/oz/contracts/Ownable.sol",
+    );
+  });
+
+  it("ranks the context before the prefix, as solc does", () => {
+    const conflict = {
+      root: "/repo",
+      libs: ["lib"],
+      remappings: [
+        { context: "lib/a", prefix: "@oz/", target: "lib/a/oz/" },
+        { context: "", prefix: "@oz/contracts/", target: "lib/oz/contracts/" },
+      ],
+    };
+    assert.equal(
+      resolveRemapping("@oz/contracts/X.sol", conflict, "/repo/lib/a/A.sol"),
+      "lib/a/oz/contracts/X.sol",
+    );
+    assert.equal(
+      resolveRemapping("@oz/contracts/X.sol", conflict, "/repo/src/A.sol"),
+      "lib/oz/contracts/X.sol",
+    );
+  });
+
+  it("picks the later of two equal remappings", () => {
+    const repeated = {
+      root: "/repo",
+      libs: ["lib"],
+      remappings: [
+        { context: "", prefix: "@oz/", target: "lib/oz-old/" },
+        { context: "", prefix: "@oz/", target: "lib/oz-new/" },
+      ],
+    };
+    assert.equal(
+      resolveRemapping("@oz/X.sol", repeated, undefined),
+      "lib/oz-new/X.sol",
+    );
+  });
+
+  it("normalizes the target and returns null when nothing applies", () => {
+    assert.equal(
+      resolveRemapping("@app/Vault.sol", project, undefined),
+      "src/Vault.sol",
+    );
+    assert.equal(
+      resolveRemapping("solmate/ERC20.sol", project, undefined),
+      null,
+    );
+  });
+});
+
+describe("locateTarget", () => {
+  const project = { root: "/repo", libs: ["lib", "./deps/"], remappings: [] };
+
+  it("distinguishes project sources, libraries and packages", () => {
+    assert.deepEqual(locateTarget("src/Vault.sol", project), {
+      location: "project",
+    });
+    assert.deepEqual(locateTarget("lib/oz/Ownable.sol", project), {
+      location: "library",
+    });
+    assert.deepEqual(locateTarget("deps/x/X.sol", project), {
+      location: "library",
+    });
+    assert.deepEqual(locateTarget("../outside/X.sol", project), {
+      location: "library",
+    });
+    assert.deepEqual(locateTarget("node_modules/@org/pkg/X.sol", project), {
+      location: "package",
+      packagePath: "@org/pkg/X.sol",
+    });
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Unit: loadProject
+// ─────────────────────────────────────────────────────────────────────────────
+describe("loadProject", () => {
+  let root;
+
+  before(() => {
+    root = makeTempTree({
+      "remappings.txt": "@oz/=lib/oz/\nshared/=src/shared/\n",
+      "foundry.toml":
+        '[profile.default]\nremappings = ["@oz/=lib/oz-from-toml/"]\n',
+    });
+  });
+
+  after(() => {
+    removeTree(root);
+  });
+
+  it("finds the nearest project root and merges both files", () => {
+    const project = loadProject(path.join(root, "src", "vault", "Vault.sol"));
+    assert.equal(project.root, root);
+    assert.deepEqual(project.libs, ["lib"]);
+    assert.equal(
+      resolveRemapping("@oz/Ownable.sol", project, undefined),
+      "lib/oz-from-toml/Ownable.sol",
+      "foundry.toml wins over remappings.txt",
+    );
+    assert.equal(
+      resolveRemapping("shared/Math.sol", project, undefined),
+      "src/shared/Math.sol",
+    );
+  });
+
+  it("reloads the remappings when the files change on disk", () => {
+    const file = path.join(root, "nested", "src", "A.sol");
+    assert.equal(loadProject(file).root, root);
+
+    writeTree(root, { "nested/remappings.txt": "@oz/=lib/oz-nested/\n" });
+    const nested = loadProject(file);
+    assert.equal(nested.root, path.join(root, "nested"));
+    assert.equal(
+      resolveRemapping("@oz/Ownable.sol", nested, undefined),
+      "lib/oz-nested/Ownable.sol",
+    );
+
+    writeTree(root, { "nested/remappings.txt": "@oz/=lib/oz-edited/\n" });
+    assert.equal(
+      resolveRemapping("@oz/Ownable.sol", loadProject(file), undefined),
+      "lib/oz-edited/Ownable.sol",
+    );
+    removeTree(path.join(root, "nested"));
+  });
+
+  it("returns null without a filepath", () => {
+    assert.equal(loadProject(undefined), null);
+  });
+});
@@ -2,13 +2,16 @@
 
 const { describe, it } = require("node:test");
 const assert = require("node:assert/strict");
+const path = require("path");
 const {
   sortImports,
+  analyzeImports,
   classifyImport,
   extractPath,
   deduplicate,
   ImportGroup,
 } = require("../src/sort-imports");
+const { withTempTree } = require("./temp-tree");
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Unit: extractPath
@@ -675,3 +678,1748 @@ contract ReClammPoolExtension {}
     );
   });
 });
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Import detection ignores comments and strings
+// ─────────────────────────────────────────────────────────────────────────────
+describe("import region detection", () => {
+  const SCOPE = "@balancer-labs";
+
+  it("does not move an import inside a block comment in the header", () => {
+    const input = `pragma solidity ^0.8.0;
+
+/*
+import "./Commented.sol";
+*/
+
+import "./B.sol";
+import "./A.sol";
+
+contract X {}
+`;
+    const expected = `pragma solidity ^0.8.0;
+
+/*
+import "./Commented.sol";
+*/
+
+import "./A.sol";
+import "./B.sol";
+
+contract X {}
+`;
+    assert.equal(sortImports(input, SCOPE), expected);
+  });
+
+  it("does not extend the region to an import inside a trailing block comment", () => {
+    const input = `pragma solidity ^0.8.0;
+
+import "./B.sol";
+import "./A.sol";
+
+contract X {}
+
+/*
+import "./Old.sol";
+*/
+`;
+    const result = sortImports(input, SCOPE);
+    assert.ok(
+      result.endsWith(`contract X {}\n\n/*\nimport "./Old.sol";\n*/\n`),
+      "commented-out import stays after the contract",
+    );
+    assert.ok(result.indexOf('"./A.sol"') < result.indexOf('"./B.sol"'));
+  });
+
+  it("ignores imports in NatSpec and string literals inside the contract", () => {
+    const input = `pragma solidity ^0.8.0;
+
+import "./B.sol";
+import "./A.sol";
+
+/**
+import "./Doc.sol";
+ */
+contract X {
+    string constant S = "import './Str.sol';";
+}
+`;
+    const result = sortImports(input, SCOPE);
+    const footer = result.slice(result.indexOf("/**"));
+    assert.equal(
+      footer,
+      `/**
+import "./Doc.sol";
+ */
+contract X {
+    string constant S = "import './Str.sol';";
+}
+`,
+    );
+  });
+
+  it("keeps attached multi-line NatSpec blocks with their import", () => {
+    const input = `pragma solidity ^0.8.0;
+
+import "./B.sol";
+/**
+ * Needed for A; do not remove.
+ */
+import "./A.sol";
+
+contract X {}
+`;
+    const expected = `pragma solidity ^0.8.0;
+
+/**
+ * Needed for A; do not remove.
+ */
+import "./A.sol";
+import "./B.sol";
+
+contract X {}
+`;
+    assert.equal(sortImports(input, SCOPE), expected);
+  });
+
+  it("does not truncate a multi-line import at a ';' inside a comment", () => {
+    const input = `pragma solidity ^0.8.0;
+
+import { Z } from "./Z.sol";
+import {
+    A, // first; keep
+    B
+} from "./A.sol";
+
+contract X {}
+`;
+    const expected = `pragma solidity ^0.8.0;
+
+import {
+    A, // first; keep
+    B
+} from "./A.sol";
+import { Z } from "./Z.sol";
+
+contract X {}
+`;
+    assert.equal(sortImports(input, SCOPE), expected);
+  });
+
+  it("ignores a quoted path in a trailing comment when extracting the path", () => {
+    assert.equal(
+      extractPath('import { A } from "a.sol"; // see "b.sol"'),
+      "a.sol",
+    );
+  });
+
+  it("decodes escaped quotes in the path", () => {
+    assert.equal(extractPath('import "./it\\"s.sol";'), './it"s.sol');
+  });
+
+  it("does not split lines joined by a block comment", () => {
+    const input = `import "./b.sol"; /* hello
+world */ import "@a/a.sol";
+contract C {}`;
+    assert.equal(
+      sortImports(input, SCOPE),
+      `import "./b.sol"; /* hello
+world */ import "@a/a.sol";
+
+contract C {}`,
+    );
+  });
+
+  it("does not split a block comment opened before the first import", () => {
+    const input = `pragma solidity ^0.8.0; /* x
+*/ import "./b.sol";
+import "@a/a.sol";
+contract C {}`;
+    assert.equal(
+      sortImports(input, SCOPE),
+      `pragma solidity ^0.8.0; /* x
+*/ import "./b.sol";
+
+import "@a/a.sol";
+
+contract C {}`,
+    );
+  });
+
+  it("leaves the end of a comment opened after code in the header", () => {
+    const input = `uint constant X = 1; /* a
+ b */
+import "./b.sol";
+import "@a/a.sol";
+contract C {}`;
+    assert.equal(
+      sortImports(input, SCOPE),
+      `uint constant X = 1; /* a
+ b */
+
+import "@a/a.sol";
+
+import "./b.sol";
+
+contract C {}`,
+    );
+  });
+
+  it("leaves a file whose only imports are commented out unchanged", () => {
+    const input = `pragma solidity ^0.8.0;
+
+// import "./A.sol";
+/* import "./B.sol"; */
+
+contract X {}
+`;
+    assert.equal(sortImports(input, SCOPE), input);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Configurable import groups
+// ─────────────────────────────────────────────────────────────────────────────
+describe("solidityImportGroups", () => {
+  const input = `pragma solidity ^0.8.0;
+
+import "./mocks/MockToken.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./Local.sol";
+import "@my-org/core/lib/Helpers.sol";
+import "solmate/tokens/ERC20.sol";
+import "forge-std/Test.sol";
+
+contract X {}
+`;
+
+  it("orders groups as configured", () => {
+    const result = sortImports(input, {
+      solidityFirstPartyScope: "@my-org",
+      solidityImportGroups: [
+        "forge-std",
+        "@openzeppelin/**",
+        "<first-party>",
+        "*",
+        "**/mocks/**",
+        "<relative>",
+      ],
+    });
+    assert.equal(
+      result,
+      `pragma solidity ^0.8.0;
+
+import "forge-std/Test.sol";
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+import "@my-org/core/lib/Helpers.sol";
+
+import "solmate/tokens/ERC20.sol";
+
+import "./mocks/MockToken.sol";
+
+import "./Local.sol";
+
+contract X {}
+`,
+    );
+  });
+
+  it("keeps today's layout when no groups are configured", () => {
+    assert.equal(
+      sortImports(input, {
+        solidityFirstPartyScope: "@my-org",
+        solidityImportGroups: [],
+      }),
+      sortImports(input, "@my-org"),
+    );
+  });
+
+  it("classifyImport returns the one-based index of the configured group", () => {
+    const groups = ["forge-std", "*", "<relative>"];
+    assert.equal(classifyImport("forge-std/Test.sol", "@my-org", groups), 1);
+    assert.equal(classifyImport("solmate/ERC20.sol", "@my-org", groups), 2);
+    assert.equal(classifyImport("./A.sol", "@my-org", groups), 3);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Multiple first-party scopes
+// ─────────────────────────────────────────────────────────────────────────────
+describe("multiple first-party scopes", () => {
+  const { resolveFirstPartyScopes } = require("../src/sort-imports");
+
+  const input = `pragma solidity ^0.8.0;
+
+import "shared-utils/contracts/Math.sol";
+import "@org-labs/v3-interfaces/contracts/IVault.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@org/v3-vault/contracts/Vault.sol";
+
+contract X {}
+`;
+
+  const expected = `pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+import "@org-labs/v3-interfaces/contracts/IVault.sol";
+
+import "@org/v3-vault/contracts/Vault.sol";
+import "shared-utils/contracts/Math.sol";
+
+contract X {}
+`;
+
+  it("accepts an array of scopes", () => {
+    assert.equal(
+      sortImports(input, ["@org", "@org-labs", "shared-utils"]),
+      expected,
+    );
+  });
+
+  it("accepts a comma-separated scope list", () => {
+    assert.equal(
+      sortImports(input, {
+        solidityFirstPartyScope: "@org, @org-labs,shared-utils",
+      }),
+      expected,
+    );
+  });
+
+  it("classifyImport accepts a scope array", () => {
+    assert.equal(
+      classifyImport("@org-labs/v3-interfaces/IVault.sol", [
+        "@org",
+        "@org-labs",
+      ]),
+      ImportGroup.FIRST_PARTY_INTERFACES,
+    );
+  });
+
+  it("does not match a scope that is only a name prefix", () => {
+    assert.equal(
+      classifyImport("@org-labs/pkg/Foo.sol", "@org"),
+      ImportGroup.EXTERNAL_DEPENDENCIES,
+    );
+  });
+
+  it("resolves 'auto' from the workspaces of the formatted file", () => {
+    const files = {
+      "package.json": { workspaces: ["pkg/*"] },
+      "pkg/vault/package.json": { name: "@org/v3-vault" },
+      "pkg/interfaces/package.json": { name: "@org-labs/v3-interfaces" },
+      "pkg/utils/package.json": { name: "shared-utils" },
+    };
+    withTempTree(files, (root) => {
+      const filepath = path.join(root, "pkg/vault/contracts/Pool.sol");
+
+      assert.deepEqual(
+        resolveFirstPartyScopes("auto, @extra", filepath).sort(),
+        ["@extra", "@org-labs/v3-interfaces", "@org/v3-vault", "shared-utils"],
+      );
+      assert.equal(
+        sortImports(input, { solidityFirstPartyScope: "auto", filepath }),
+        expected,
+      );
+    });
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Remappings-aware classification
+// ─────────────────────────────────────────────────────────────────────────────
+describe("remappings", () => {
+  const input = `pragma solidity ^0.8.0;
+
+import { Vault } from "@app/vault/Vault.sol";
+import { Test } from "forge-std/Test.sol";
+import { IVault } from "@app/interfaces/IVault.sol";
+import { Ownable } from "@oz/access/Ownable.sol";
+import { FixedPoint } from "@utils/math/FixedPoint.sol";
+import { Helper } from "./Helper.sol";
+
+contract X {}
+`;
+
+  const withProject = (fn) =>
+    withTempTree(
+      {
+        "remappings.txt": [
+          "forge-std/=lib/forge-std/src/",
+          "@oz/=lib/openzeppelin-contracts/contracts/",
+          "@app/=src/",
+          "@utils/=node_modules/@my-org/utils/contracts/",
+        ].join("\n"),
+      },
+      (root) => fn(path.join(root, "src", "pool", "Pool.sol")),
+    );
+
+  it("classifies remapped imports by their resolved target", () => {
+    withProject((filepath) => {
+      assert.equal(
+        sortImports(input, { solidityFirstPartyScope: "@my-org", filepath }),
+        `pragma solidity ^0.8.0;
+
+import { Ownable } from "@oz/access/Ownable.sol";
+import { Test } from "forge-std/Test.sol";
+
+import { IVault } from "@app/interfaces/IVault.sol";
+
+import { FixedPoint } from "@utils/math/FixedPoint.sol";
+import { Vault } from "@app/vault/Vault.sol";
+
+import { Helper } from "./Helper.sol";
+
+contract X {}
+`,
+      );
+    });
+  });
+
+  it("can be disabled with solidityRemappings: false", () => {
+    withProject((filepath) => {
+      assert.equal(
+        sortImports(input, {
+          solidityFirstPartyScope: "@my-org",
+          solidityRemappings: false,
+          filepath,
+        }),
+        sortImports(input, "@my-org"),
+      );
+    });
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Sorting symbols inside named imports
+// ─────────────────────────────────────────────────────────────────────────────
+describe("soliditySortNamedImports", () => {
+  const input = `pragma solidity ^0.8.0;
+
+import { ReClammMath, PriceRatioState, a, b } from "./lib/ReClammMath.sol";
+// Pool interfaces
+import {
+    ReClammPoolImmutableData,
+    IReClammPoolExtension
+} from "./interfaces/IReClammPoolExtension.sol";
+
+contract X {}
+`;
+
+  it("leaves symbol lists alone by default", () => {
+    assert.equal(
+      sortImports(input, {}).includes("ReClammMath, PriceRatioState, a, b"),
+      true,
+    );
+  });
+
+  it("sorts single-line and multi-line symbol lists when enabled", () => {
+    assert.equal(
+      sortImports(input, { soliditySortNamedImports: true }),
+      `pragma solidity ^0.8.0;
+
+// Pool interfaces
+import {
+    IReClammPoolExtension,
+    ReClammPoolImmutableData
+} from "./interfaces/IReClammPoolExtension.sol";
+import { a, b, PriceRatioState, ReClammMath } from "./lib/ReClammMath.sol";
+
+contract X {}
+`,
+    );
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Merging imports of the same path
+// ─────────────────────────────────────────────────────────────────────────────
+describe("merging imports of the same path", () => {
+  const sort = (imports) =>
+    sortImports(`pragma solidity ^0.8.0;\n\n${imports}\n\ncontract X {}\n`, {})
+      .split("\n\ncontract")[0]
+      .split("pragma solidity ^0.8.0;\n\n")[1];
+
+  it("merges named imports into the first one", () => {
+    assert.equal(
+      sort('import { A } from "x.sol";\nimport { B, A } from "x.sol";'),
+      'import { A, B } from "x.sol";',
+    );
+  });
+
+  it("keeps attached comments from both chunks", () => {
+    assert.equal(
+      sort(
+        '// for A\nimport { A } from "x.sol";\n// for B\nimport { B } from "x.sol";',
+      ),
+      '// for A\n// for B\nimport { A, B } from "x.sol";',
+    );
+  });
+
+  it("moves per-symbol comments onto their own lines when merging into a single-line list", () => {
+    assert.equal(
+      sort(
+        'import { A } from "x.sol";\nimport {\n    B // why B\n} from "x.sol";',
+      ),
+      'import {\n    A,\n    B // why B\n} from "x.sol";',
+    );
+  });
+
+  it("lets a bare import absorb un-aliased named imports", () => {
+    assert.equal(
+      sort('// named\nimport { A } from "x.sol";\nimport "x.sol";'),
+      '// named\nimport "x.sol";',
+    );
+    assert.equal(
+      sort('import "x.sol";\nimport { A, B } from "x.sol";'),
+      'import "x.sol";',
+    );
+  });
+
+  it("keeps aliased symbols next to a bare import of the same path", () => {
+    assert.equal(
+      sort('import { A, B as C } from "x.sol";\nimport "x.sol";'),
+      'import { B as C } from "x.sol";\nimport "x.sol";',
+    );
+  });
+
+  it("does not merge namespace imports, but drops identical ones", () => {
+    assert.equal(
+      sort(
+        'import * as X from "x.sol";\nimport * as Y from "x.sol";\nimport * as X from "x.sol";',
+      ),
+      'import * as X from "x.sol";\nimport * as Y from "x.sol";',
+    );
+  });
+
+  it('does not let `import "path" as X` absorb named imports', () => {
+    assert.equal(
+      sort('import "x.sol" as X;\nimport { A } from "x.sol";'),
+      // Both bind names, so they stay in source order.
+      'import "x.sol" as X;\nimport { A } from "x.sol";',
+    );
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Removing unused named import symbols
+// ─────────────────────────────────────────────────────────────────────────────
+describe("solidityRemoveUnusedImports", () => {
+  const input = `pragma solidity ^0.8.0;
+
+// Stale after refactor
+import { Unused } from "./Unused.sol";
+import { IVault, IOld } from "./IVault.sol";
+import * as Lib from "./Lib.sol";
+import "./Types.sol";
+
+/// @dev Mentions IOld and Unused only in comments.
+contract X is IVault {
+    string constant NAME = "Unused";
+}
+`;
+
+  it("keeps everything by default", () => {
+    assert.ok(sortImports(input, {}).includes("Unused.sol"));
+  });
+
+  it("drops unused symbols and emptied statements with their comments", () => {
+    assert.equal(
+      sortImports(input, { solidityRemoveUnusedImports: true }),
+      `pragma solidity ^0.8.0;
+
+import { IVault } from "./IVault.sol";
+import * as Lib from "./Lib.sol";
+import "./Types.sol";
+
+/// @dev Mentions IOld and Unused only in comments.
+contract X is IVault {
+    string constant NAME = "Unused";
+}
+`,
+    );
+  });
+
+  it("removes the import block entirely when nothing is used", () => {
+    assert.equal(
+      sortImports(
+        'pragma solidity ^0.8.0;\n\nimport { A } from "./A.sol";\n\ncontract X {}\n',
+        { solidityRemoveUnusedImports: true },
+      ),
+      "pragma solidity ^0.8.0;\n\ncontract X {}\n",
+    );
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Wrapping named imports to printWidth
+// ─────────────────────────────────────────────────────────────────────────────
+describe("solidityWrapNamedImports", () => {
+  const input = `pragma solidity ^0.8.0;
+
+import { ReClammMath, PriceRatioState } from "./lib/ReClammMath.sol";
+import {
+    A,
+    B
+} from "./A.sol";
+
+contract X {}
+`;
+
+  it("keeps imports as written by default", () => {
+    assert.ok(sortImports(input, {}).includes("import {\n    A,\n    B\n}"));
+  });
+
+  it("reflows named imports using Prettier's layout options", () => {
+    assert.equal(
+      sortImports(input, {
+        solidityWrapNamedImports: true,
+        soliditySortNamedImports: true,
+        printWidth: 60,
+        tabWidth: 4,
+      }),
+      `pragma solidity ^0.8.0;
+
+import {
+    PriceRatioState,
+    ReClammMath
+} from "./lib/ReClammMath.sol";
+import { A, B } from "./A.sol";
+
+contract X {}
+`,
+    );
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// analyzeImports
+// ─────────────────────────────────────────────────────────────────────────────
+describe("analyzeImports", () => {
+  const input = `pragma solidity ^0.8.0;
+
+import "./Local.sol";
+// oracle
+import { A } from "@chainlink/x.sol";
+import {
+    B
+} from "@chainlink/x.sol";
+import "@balancer-labs/v3-interfaces/IVault.sol";
+
+contract C is A {}
+`;
+
+  it("reports group, rule, duplicate and line ranges per import", () => {
+    assert.deepEqual(analyzeImports(input, "@balancer-labs"), [
+      {
+        path: "./Local.sol",
+        group: 4,
+        rule: "<relative>",
+        duplicate: false,
+        kind: "bare",
+        specific: false,
+        lines: { start: 3, end: 3 },
+        newLines: { start: 8, end: 8 },
+      },
+      {
+        path: "@chainlink/x.sol",
+        group: 1,
+        rule: "*",
+        duplicate: false,
+        kind: "named",
+        specific: true,
+        lines: { start: 5, end: 5 },
+        newLines: { start: 4, end: 4 },
+      },
+      {
+        path: "@chainlink/x.sol",
+        group: null,
+        rule: null,
+        duplicate: true,
+        kind: "named",
+        specific: true,
+        lines: { start: 6, end: 8 },
+        newLines: null,
+      },
+      {
+        path: "@balancer-labs/v3-interfaces/IVault.sol",
+        group: 2,
+        rule: "<first-party-interfaces>",
+        duplicate: false,
+        kind: "bare",
+        specific: false,
+        lines: { start: 9, end: 9 },
+        newLines: { start: 6, end: 6 },
+      },
+    ]);
+  });
+
+  it("new line ranges point at the statements in sortImports output", () => {
+    const options = { solidityWrapNamedImports: true, printWidth: 20 };
+    const output = sortImports(input, options).split("\n");
+    for (const d of analyzeImports(input, options)) {
+      if (d.newLines === null) continue;
+      const statement = output
+        .slice(d.newLines.start - 1, d.newLines.end)
+        .join("\n");
+      assert.match(statement, /^import /);
+      assert.ok(statement.endsWith(`"${d.path}";`), statement);
+    }
+  });
+
+  it("reports the implicit trailing group with a null rule", () => {
+    const [d] = analyzeImports('import "x.sol";\n', {
+      solidityImportGroups: ["<relative>"],
+    });
+    assert.equal(d.group, 2);
+    assert.equal(d.rule, null);
+  });
+
+  it("reports imports removed as unused with no new lines", () => {
+    const [d] = analyzeImports(
+      'import { Unused } from "x.sol";\n\ncontract C {}\n',
+      { solidityRemoveUnusedImports: true },
+    );
+    assert.equal(d.duplicate, false);
+    assert.equal(d.group, null);
+    assert.equal(d.newLines, null);
+  });
+
+  it("returns an empty list for a file without imports", () => {
+    assert.deepEqual(analyzeImports("contract C {}\n"), []);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Directives between imports
+// ─────────────────────────────────────────────────────────────────────────────
+describe("directives between imports", () => {
+  const SCOPE = "@balancer-labs";
+
+  it("hoists a pragma between imports above them", () => {
+    const input = `pragma solidity ^0.8.0;
+
+import "./B.sol";
+// needed for structs in calldata
+pragma abicoder v2;
+import "@openzeppelin/A.sol";
+
+contract X {}
+`;
+    const expected = `pragma solidity ^0.8.0;
+// needed for structs in calldata
+pragma abicoder v2;
+
+import "@openzeppelin/A.sol";
+
+import "./B.sol";
+
+contract X {}
+`;
+    assert.equal(sortImports(input, SCOPE), expected);
+    assert.equal(sortImports(expected, SCOPE), expected);
+  });
+
+  it("sorts the imports on each side of another statement separately", () => {
+    const input = `pragma solidity ^0.8.0;
+
+import "./B.sol";
+import "@openzeppelin/A.sol";
+// attached to the directive
+using Lib for uint256;
+import "./Z.sol";
+import "@openzeppelin/Y.sol";
+
+contract X {}
+`;
+    const expected = `pragma solidity ^0.8.0;
+
+import "@openzeppelin/A.sol";
+
+import "./B.sol";
+
+// attached to the directive
+using Lib for uint256;
+
+import "@openzeppelin/Y.sol";
+
+import "./Z.sol";
+
+contract X {}
+`;
+    assert.equal(sortImports(input, SCOPE), expected);
+    assert.equal(sortImports(expected, SCOPE), expected);
+  });
+
+  it("keeps declarations with braces between imports verbatim", () => {
+    const input = `import "./B.sol";
+using {add} for Fixed global;
+struct S {
+    uint256 a; // ; }
+}
+import "./A.sol";
+`;
+    const output = sortImports(input, SCOPE);
+    assert.ok(
+      output.includes(
+        "using {add} for Fixed global;\nstruct S {\n    uint256 a; // ; }\n}\n",
+      ),
+    );
+    assert.ok(output.indexOf('"./B.sol"') < output.indexOf("struct S"));
+    assert.ok(output.indexOf("struct S") < output.indexOf('"./A.sol"'));
+  });
+
+  it("keeps a pragma that follows another statement in place", () => {
+    const input = `import "./B.sol";
+using Lib for uint256;
+pragma abicoder v2;
+import "./A.sol";
+`;
+    assert.ok(
+      sortImports(input, SCOPE).includes(
+        "using Lib for uint256;\npragma abicoder v2;",
+      ),
+    );
+  });
+
+  it("keeps a statement sharing a line with an import", () => {
+    const input = `import "./B.sol"; pragma abicoder v2;
+import "./A.sol";
+`;
+    assert.ok(
+      sortImports(input, SCOPE).includes(
+        'import "./B.sol"; pragma abicoder v2;',
+      ),
+    );
+  });
+
+  it("uses of an import in a statement between blocks count as used", () => {
+    const input = `import { Lib } from "./Lib.sol";
+using Lib for uint256;
+import { Unused } from "./Unused.sol";
+
+contract X {}
+`;
+    const output = sortImports(input, { solidityRemoveUnusedImports: true });
+    assert.ok(output.includes('import { Lib } from "./Lib.sol";'));
+    assert.ok(!output.includes("Unused"));
+  });
+
+  it("reports output lines across blocks in analyzeImports", () => {
+    const input = `pragma solidity ^0.8.0;
+
+import "./B.sol";
+import "@openzeppelin/A.sol";
+using Lib for uint256;
+import "./Z.sol";
+`;
+    assert.deepEqual(
+      analyzeImports(input, SCOPE).map((d) => [d.path, d.newLines.start]),
+      [
+        ["./B.sol", 5],
+        ["@openzeppelin/A.sol", 3],
+        ["./Z.sol", 9],
+      ],
+    );
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Ignore directives
+// ─────────────────────────────────────────────────────────────────────────────
+describe("ignore directives", () => {
+  const SCOPE = "@balancer-labs";
+
+  it("leaves a file with // sort-imports-ignore untouched", () => {
+    const input = `// SPDX-License-Identifier: MIT
+// sort-imports-ignore
+pragma solidity ^0.8.0;
+import "./B.sol";
+import "@openzeppelin/A.sol";
+import "./B.sol";
+contract X {}
+`;
+    assert.equal(sortImports(input, SCOPE), input);
+    assert.deepEqual(analyzeImports(input, SCOPE), []);
+  });
+
+  it("accepts the directive as a block comment", () => {
+    const input = `/* sort-imports-ignore */\nimport "./B.sol";\nimport "./A.sol";\n`;
+    assert.equal(sortImports(input, SCOPE), input);
+  });
+
+  it("keeps the order between sort-imports-disable and -enable", () => {
+    const input = `pragma solidity ^0.8.0;
+
+import "./D.sol";
+import "./C.sol";
+// sort-imports-disable
+import "./Z.sol";
+import "./Y.sol";
+// sort-imports-enable
+import "./B.sol";
+import "./A.sol";
+
+contract X {}
+`;
+    const expected = `pragma solidity ^0.8.0;
+
+import "./C.sol";
+import "./D.sol";
+
+// sort-imports-disable
+import "./Z.sol";
+import "./Y.sol";
+// sort-imports-enable
+
+import "./A.sol";
+import "./B.sol";
+
+contract X {}
+`;
+    assert.equal(sortImports(input, SCOPE), expected);
+    assert.equal(sortImports(expected, SCOPE), expected);
+  });
+
+  it("keeps every import after an unterminated sort-imports-disable", () => {
+    const input = `pragma solidity ^0.8.0;
+
+import "./B.sol";
+import "./A.sol";
+/* sort-imports-disable */
+import "./Z.sol";
+import "./Y.sol";
+
+contract X {}
+`;
+    const output = sortImports(input, SCOPE);
+    assert.ok(
+      output.startsWith(`pragma solidity ^0.8.0;
+
+import "./A.sol";
+import "./B.sol";
+`),
+    );
+    assert.ok(
+      output.includes('import "./Z.sol";\nimport "./Y.sol";\n\ncontract X {}'),
+    );
+  });
+
+  it("pins an import preceded by // prettier-ignore", () => {
+    const input = `import "./D.sol";
+// prettier-ignore
+import   "./C.sol";
+import "./B.sol";
+import "./A.sol";
+`;
+    const output = sortImports(input, SCOPE);
+    assert.ok(
+      output.endsWith(`import "./D.sol";
+
+// prettier-ignore
+import   "./C.sol";
+
+import "./A.sol";
+import "./B.sol";
+`),
+    );
+    assert.equal(sortImports(output, SCOPE), output);
+  });
+
+  it("treats // prettier-ignore elsewhere as an ordinary comment", () => {
+    const input = `import "./B.sol";
+import "./A.sol"; // prettier-ignore
+`;
+    assert.ok(
+      sortImports(input, SCOPE).endsWith(
+        'import "./A.sol"; // prettier-ignore\nimport "./B.sol";\n',
+      ),
+    );
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Comments in the import region
+// ─────────────────────────────────────────────────────────────────────────────
+describe("comments in the import region", () => {
+  const SCOPE = "@balancer-labs";
+
+  it("keeps floating section comments at the top of the block", () => {
+    const input = `pragma solidity ^0.8.0;
+
+import "./B.sol";
+// ---- Libraries ----
+
+import "@openzeppelin/A.sol";
+/* ---- Local ---- */
+
+import "./C.sol";
+
+contract X {}
+`;
+    const expected = `pragma solidity ^0.8.0;
+
+// ---- Libraries ----
+
+/* ---- Local ---- */
+
+import "@openzeppelin/A.sol";
+
+import "./B.sol";
+import "./C.sol";
+
+contract X {}
+`;
+    assert.equal(sortImports(input, SCOPE), expected);
+    assert.equal(sortImports(expected, SCOPE), expected);
+  });
+
+  it("keeps trailing same-line comments with their import", () => {
+    const input = `import "./B.sol"; // why B
+import "@openzeppelin/A.sol"; /* why A */
+`;
+    assert.ok(
+      sortImports(input, SCOPE).endsWith(
+        'import "@openzeppelin/A.sol"; /* why A */\n\nimport "./B.sol"; // why B\n',
+      ),
+    );
+  });
+
+  it("keeps a trailing block comment running past the import's line", () => {
+    const input = `import "./b.sol"; /** doc
+ * more */
+import "@a/a.sol";
+contract C {}`;
+    assert.equal(
+      sortImports(input, SCOPE),
+      `import "@a/a.sol";
+
+import "./b.sol"; /** doc
+ * more */
+
+contract C {}`,
+    );
+  });
+
+  it("keeps comments after the last import", () => {
+    const input = `import "./B.sol";
+import "./A.sol";
+// end of imports
+
+contract X {}
+`;
+    assert.ok(
+      sortImports(input, SCOPE).endsWith(
+        'import "./A.sol";\nimport "./B.sol";\n\n// end of imports\n\ncontract X {}\n',
+      ),
+    );
+  });
+
+  it("keeps the trailing comment of a dropped duplicate", () => {
+    const input = `import "./A.sol"; // first
+import "./A.sol"; // second
+`;
+    assert.ok(
+      sortImports(input, SCOPE).endsWith(
+        '// second\nimport "./A.sol"; // first\n',
+      ),
+    );
+  });
+
+  it("drops a namespace import repeated with a different comment", () => {
+    const input = `import * as X from "./X.sol"; // one
+import * as X from "./X.sol"; // two
+`;
+    assert.ok(
+      sortImports(input, SCOPE).endsWith(
+        '// two\nimport * as X from "./X.sol"; // one\n',
+      ),
+    );
+  });
+
+  it("keeps the comments of a named import merged into another", () => {
+    const input = `import { A } from "./A.sol"; // a
+import { B } from "./A.sol"; // b
+`;
+    assert.ok(
+      sortImports(input, SCOPE).endsWith(
+        '// b\nimport { A, B } from "./A.sol"; // a\n',
+      ),
+    );
+  });
+
+  it("keeps the comments of symbols absorbed by a bare import", () => {
+    const input = `import {
+    A, // a
+    B as C
+} from "./A.sol";
+import "./A.sol";
+`;
+    const output = sortImports(input, SCOPE);
+    assert.ok(output.includes("// a\nimport"), output);
+    assert.ok(output.includes("B as C"));
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// solidityImportGroupHeaders
+// ─────────────────────────────────────────────────────────────────────────────
+describe("solidityImportGroupHeaders", () => {
+  const input = `pragma solidity ^0.8.0;
+
+import "./B.sol";
+import "@openzeppelin/A.sol";
+import "@balancer-labs/v3-interfaces/IVault.sol";
+import "./A.sol";
+
+contract X {}
+`;
+
+  const expected = `pragma solidity ^0.8.0;
+
+// External
+import "@openzeppelin/A.sol";
+
+// Interfaces
+import "@balancer-labs/v3-interfaces/IVault.sol";
+
+// Local
+import "./A.sol";
+import "./B.sol";
+
+contract X {}
+`;
+
+  it("emits no headers by default", () => {
+    assert.ok(!sortImports(input, {}).includes("// External"));
+  });
+
+  it("starts every non-empty group with a header", () => {
+    assert.equal(
+      sortImports(input, { solidityImportGroupHeaders: true }),
+      expected,
+    );
+  });
+
+  it("replaces headers it generated instead of duplicating them", () => {
+    const options = { solidityImportGroupHeaders: true };
+    assert.equal(sortImports(expected, options), expected);
+    // The header moves to whichever import now starts the group.
+    const shuffled = expected.replace(
+      'import "./A.sol";\nimport "./B.sol";',
+      'import "./B.sol";\nimport "./A.sol";',
+    );
+    assert.equal(sortImports(shuffled, options), expected);
+  });
+
+  it("drops the header of a group that became empty", () => {
+    const withoutInterface = expected.replace(
+      'import "@balancer-labs/v3-interfaces/IVault.sol";\n',
+      "",
+    );
+    const output = sortImports(withoutInterface, {
+      solidityImportGroupHeaders: true,
+    });
+    assert.ok(!output.includes("// Interfaces"), output);
+  });
+
+  it("uses configured labels and keeps other comments", () => {
+    const output = sortImports(
+      `import "./A.sol";
+// why B
+import "@x/B.sol";
+`,
+      {
+        solidityImportGroupHeaders: true,
+        solidityImportGroups: ["<relative>"],
+        solidityImportGroupLabels: ["Relative", "Everything else"],
+      },
+    );
+    assert.ok(
+      output.endsWith(
+        '// Relative\nimport "./A.sol";\n\n// Everything else\n// why B\nimport "@x/B.sol";\n',
+      ),
+      output,
+    );
+  });
+
+  it("counts header lines in analyzeImports", () => {
+    assert.deepEqual(
+      analyzeImports(input, { solidityImportGroupHeaders: true }).map(
+        (d) => d.newLines.start,
+      ),
+      [11, 4, 7, 10],
+    );
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// solidityImportOrder / solidityImportKindOrder
+// ─────────────────────────────────────────────────────────────────────────────
+describe("solidityImportOrder", () => {
+  const input = `pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/utils/Context.sol";
+import { Ownable } from "@openzeppelin/contracts/access/Ownable.sol";
+import "@chainlink/contracts/Oracle.sol";
+
+contract X {}
+`;
+
+  it("keeps specific-first, longest-first as the default", () => {
+    assert.ok(
+      sortImports(input, {})
+        .includes(`import { Ownable } from "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/Context.sol";
+import "@chainlink/contracts/Oracle.sol";`),
+    );
+  });
+
+  it("applies the selected strategy within each group", () => {
+    assert.ok(
+      sortImports(input, {
+        solidityImportOrder: "alphabetical",
+        solidityImportKindOrder: "mixed",
+      }).includes(`import "@chainlink/contracts/Oracle.sol";
+import { Ownable } from "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/Context.sol";`),
+    );
+  });
+
+  it("can put bare imports first", () => {
+    assert.ok(
+      sortImports(input, {
+        solidityImportOrder: "natural",
+        solidityImportKindOrder: "bare-first",
+      }).includes(`import "@chainlink/contracts/Oracle.sol";
+import "@openzeppelin/contracts/utils/Context.sol";
+import { Ownable } from "@openzeppelin/contracts/access/Ownable.sol";`),
+    );
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Interface detection
+// ─────────────────────────────────────────────────────────────────────────────
+describe("interface detection", () => {
+  const input = `pragma solidity ^0.8.0;
+
+import "./Local.sol";
+import "./ILocal.sol";
+import "@balancer-labs/v3-vault/contracts/Vault.sol";
+import "@balancer-labs/v3-vault/contracts/IVault.sol";
+import "@balancer-labs/v3-interfaces-mocks/Mock.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+contract X {}
+`;
+
+  it("detects interfaces by file name and path segment", () => {
+    const output = sortImports(input, {
+      solidityInterfaceFileNames: "^I[A-Z]",
+      solidityInterfacePatterns: ["interfaces"],
+    });
+    assert.ok(
+      output.includes(`import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+import "@balancer-labs/v3-vault/contracts/IVault.sol";
+
+import "@balancer-labs/v3-interfaces-mocks/Mock.sol";
+import "@balancer-labs/v3-vault/contracts/Vault.sol";
+
+import "./ILocal.sol";`),
+    );
+  });
+
+  it("splits every import kind with solidityInterfaceSplit 'all'", () => {
+    const output = sortImports(input, {
+      solidityInterfaceFileNames: "^I[A-Z]",
+      solidityInterfaceSplit: "all",
+    });
+    assert.ok(
+      output.includes(`import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+import "@balancer-labs/v3-vault/contracts/IVault.sol";
+
+import "@balancer-labs/v3-interfaces-mocks/Mock.sol";
+import "@balancer-labs/v3-vault/contracts/Vault.sol";
+
+import "./ILocal.sol";
+
+import "./Local.sol";`),
+    );
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Path normalization and quotes
+// ─────────────────────────────────────────────────────────────────────────────
+describe("path normalization and quotes", () => {
+  const input = `pragma solidity ^0.8.0;
+
+import { A } from './a/../b/X.sol';
+import { B } from "./b//X.sol";
+import '@oz/contracts/Y.sol';
+
+contract C is A, B {}
+`;
+
+  it("merges imports of the same normalized path", () => {
+    assert.equal(
+      sortImports(input, {}),
+      `pragma solidity ^0.8.0;
+
+import "@oz/contracts/Y.sol";
+
+import { A, B } from "./b/X.sol";
+
+contract C is A, B {}
+`,
+    );
+  });
+
+  it("uses single quotes with singleQuote", () => {
+    assert.ok(
+      sortImports(input, { singleQuote: true }).includes(
+        "import '@oz/contracts/Y.sol';\n\nimport { A, B } from './b/X.sol';",
+      ),
+    );
+  });
+
+  it("reports the paths as written", () => {
+    assert.deepEqual(
+      analyzeImports(input, {}).map((d) => [d.path, d.duplicate]),
+      [
+        ["./a/../b/X.sol", false],
+        ["./b//X.sol", true],
+        ["@oz/contracts/Y.sol", false],
+      ],
+    );
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// solidityImportPathStyle
+// ─────────────────────────────────────────────────────────────────────────────
+describe("solidityImportPathStyle", () => {
+  const input = `pragma solidity ^0.8.0;
+
+import { Vault } from "../../vault/contracts/Vault.sol";
+import { Math } from "@org/pool/contracts/lib/Math.sol";
+import { Base } from "./Base.sol";
+
+contract Pool is Base {}
+`;
+
+  const withWorkspace = (fn) =>
+    withTempTree(
+      {
+        "package.json": { workspaces: ["pkg/*"] },
+        "pkg/vault/package.json": { name: "@org/vault" },
+        "pkg/pool/package.json": { name: "@org/pool" },
+      },
+      (root) => fn(path.join(root, "pkg/pool/contracts/Pool.sol")),
+    );
+
+  it("keeps paths as written by default", () => {
+    withWorkspace((filepath) => {
+      assert.ok(
+        sortImports(input, { filepath }).includes(
+          '"../../vault/contracts/Vault.sol"',
+        ),
+      );
+    });
+  });
+
+  it("rewrites paths by package before grouping", () => {
+    withWorkspace((filepath) => {
+      assert.equal(
+        sortImports(input, {
+          solidityFirstPartyScope: "@org",
+          solidityImportPathStyle: "by-package",
+          filepath,
+        }),
+        `pragma solidity ^0.8.0;
+
+import { Vault } from "@org/vault/contracts/Vault.sol";
+
+import { Math } from "./lib/Math.sol";
+import { Base } from "./Base.sol";
+
+contract Pool is Base {}
+`,
+      );
+    });
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// solidityNameBareImports
+// ─────────────────────────────────────────────────────────────────────────────
+describe("solidityNameBareImports", () => {
+  const input = `pragma solidity ^0.8.0;
+
+import "./Types.sol";
+import "./Missing.sol";
+import { Side } from "./Side.sol";
+
+contract Pool {
+    Order public last;
+    Side public side;
+}
+`;
+
+  it("names the used symbols and keeps what it cannot resolve", () => {
+    const files = {
+      "Types.sol":
+        "struct Order { uint256 id; }\nstruct Fill { uint256 id; }\nenum Side { Buy }\n",
+    };
+    withTempTree(files, (root) => {
+      const filepath = path.join(root, "Pool.sol");
+      assert.equal(
+        sortImports(input, { solidityNameBareImports: true, filepath }),
+        `pragma solidity ^0.8.0;
+
+import { Order } from "./Types.sol";
+import { Side } from "./Side.sol";
+import "./Missing.sol";
+
+contract Pool {
+    Order public last;
+    Side public side;
+}
+`,
+      );
+      assert.ok(
+        sortImports(input, { filepath }).includes('import "./Types.sol";'),
+      );
+    });
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Import kinds
+// ─────────────────────────────────────────────────────────────────────────────
+describe("import kinds", () => {
+  const input = `pragma solidity ^0.8.0;
+
+import "./Bare.sol";
+import "./Aliased.sol" as Aliased;
+import * as Namespace from "./Namespace.sol";
+import { Named } from "./Named.sol"; // see "./Other.sol"
+import "./One.sol"; import "./Two.sol";
+`;
+
+  it("reports the grammar form of every import", () => {
+    assert.deepEqual(
+      analyzeImports(input, {}).map((d) => [d.path, d.kind, d.specific]),
+      [
+        ["./Bare.sol", "bare", false],
+        ["./Aliased.sol", "aliased", true],
+        ["./Namespace.sol", "namespace", true],
+        ["./Named.sol", "named", true],
+        ["./Two.sol", null, false],
+      ],
+    );
+  });
+
+  it("sorts every import that binds a name before bare ones", () => {
+    assert.equal(
+      sortImports(input, {}),
+      `pragma solidity ^0.8.0;
+
+import * as Namespace from "./Namespace.sol";
+import "./Aliased.sol" as Aliased;
+import { Named } from "./Named.sol"; // see "./Other.sol"
+import "./Bare.sol";
+import "./One.sol"; import "./Two.sol";
+`,
+    );
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Line endings and byte order mark
+// ─────────────────────────────────────────────────────────────────────────────
+describe("line endings and byte order mark", () => {
+  const lf = `// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./B.sol";
+import {
+    A
+} from "./A.sol";
+import "@oz/X.sol";
+
+contract C {}
+`;
+  const sorted = `// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@oz/X.sol";
+
+import {
+    A
+} from "./A.sol";
+import "./B.sol";
+
+contract C {}
+`;
+  const crlf = (text) => text.replace(/\n/g, "\r\n");
+
+  it("keeps CRLF line endings throughout", () => {
+    assert.equal(sortImports(crlf(lf), {}), crlf(sorted));
+  });
+
+  it("follows endOfLine when it names a line ending", () => {
+    assert.equal(sortImports(crlf(lf), { endOfLine: "lf" }), sorted);
+    assert.equal(sortImports(lf, { endOfLine: "crlf" }), crlf(sorted));
+    assert.equal(sortImports(lf, { endOfLine: "auto" }), sorted);
+  });
+
+  it("keeps a leading byte order mark out of the header", () => {
+    assert.equal(sortImports(`﻿${crlf(lf)}`, {}), `﻿${crlf(sorted)}`);
+    assert.equal(
+      sortImports('﻿// sort-imports-ignore\nimport "b";\nimport "a";\n'),
+      '﻿// sort-imports-ignore\nimport "b";\nimport "a";\n',
+    );
+  });
+
+  it("reports the same lines for CRLF files", () => {
+    assert.deepEqual(analyzeImports(crlf(lf), {}), analyzeImports(lf, {}));
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Blank lines around and between groups
+// ─────────────────────────────────────────────────────────────────────────────
+describe("blank line options", () => {
+  const input = `// SPDX-License-Identifier: MIT
+
+// Copyright notice
+pragma solidity ^0.8.0;
+
+
+
+import "./Local.sol";
+import "@oz/Token.sol";
+contract C {}
+`;
+
+  it("puts one blank line between groups and around the imports by default", () => {
+    assert.equal(
+      sortImports(input, {}),
+      `// SPDX-License-Identifier: MIT
+
+// Copyright notice
+pragma solidity ^0.8.0;
+
+import "@oz/Token.sol";
+
+import "./Local.sol";
+
+contract C {}
+`,
+    );
+  });
+
+  it("uses the configured counts", () => {
+    assert.equal(
+      sortImports(input, {
+        solidityBlankLinesBetweenGroups: 0,
+        solidityBlankLinesBeforeImports: 0,
+        solidityBlankLinesAfterImports: 2,
+      }),
+      `// SPDX-License-Identifier: MIT
+
+// Copyright notice
+pragma solidity ^0.8.0;
+import "@oz/Token.sol";
+import "./Local.sol";
+
+
+contract C {}
+`,
+    );
+  });
+
+  it("keeps the file's blank lines around the imports with -1", () => {
+    assert.equal(
+      sortImports(input, {
+        solidityBlankLinesBeforeImports: -1,
+        solidityBlankLinesAfterImports: -1,
+      }),
+      `// SPDX-License-Identifier: MIT
+
+// Copyright notice
+pragma solidity ^0.8.0;
+
+
+
+import "@oz/Token.sol";
+
+import "./Local.sol";
+contract C {}
+`,
+    );
+  });
+
+  it("adds no blank lines above imports that start the file", () => {
+    assert.equal(
+      sortImports('import "./B.sol";\nimport "@oz/A.sol";\n'),
+      'import "@oz/A.sol";\n\nimport "./B.sol";\n',
+    );
+  });
+
+  it("keeps trailing whitespace on the last header line", () => {
+    const header = "pragma solidity ^0.8.0; // pinned  \n";
+    assert.ok(
+      sortImports(`${header}import "./B.sol";\n`).startsWith(`${header}\n`),
+    );
+  });
+
+  it("reports output lines with the configured spacing", () => {
+    const diagnostics = analyzeImports(input, {
+      solidityBlankLinesBeforeImports: 3,
+      solidityBlankLinesBetweenGroups: 2,
+    });
+    assert.deepEqual(
+      diagnostics.map((d) => [d.path, d.newLines.start]),
+      [
+        ["./Local.sol", 11],
+        ["@oz/Token.sol", 8],
+      ],
+    );
+  });
+
+  it("rejects invalid counts", () => {
+    assert.throws(
+      () => sortImports(input, { solidityBlankLinesBetweenGroups: -1 }),
+      /Invalid solidityBlankLinesBetweenGroups -1/,
+    );
+    assert.throws(
+      () => sortImports(input, { solidityBlankLinesAfterImports: 1.5 }),
+      /Invalid solidityBlankLinesAfterImports 1.5/,
+    );
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Range formatting and cursor offsets
+// ─────────────────────────────────────────────────────────────────────────────
+describe("sortImportsWithCursor", () => {
+  const { sortImportsWithCursor } = require("../src/sort-imports");
+  const input = `pragma solidity ^0.8.0;
+import "./B.sol";
+// why A
+import { A } from "./A.sol";
+import "@oz/Token.sol";
+contract C { uint x; }
+`;
+  const sorted = sortImports(input);
+
+  it("formats like sortImports and reports -1 without a cursor", () => {
+    assert.deepEqual(sortImportsWithCursor(input), {
+      formatted: sorted,
+      cursorOffset: -1,
+    });
+  });
+
+  it("keeps the cursor on the import it is on", () => {
+    for (const [before, after] of [
+      ["Token", "Token"],
+      ["B.sol", "B.sol"],
+      ["why A", "why A"],
+      ["{ A }", "{ A }"],
+    ]) {
+      const { cursorOffset } = sortImportsWithCursor(input, {
+        cursorOffset: input.indexOf(before),
+      });
+      assert.equal(cursorOffset, sorted.indexOf(after), before);
+    }
+  });
+
+  it("moves a cursor in the code after the imports along with it", () => {
+    const { cursorOffset } = sortImportsWithCursor(input, {
+      cursorOffset: input.indexOf("x;"),
+    });
+    assert.equal(cursorOffset, sorted.indexOf("x;"));
+  });
+
+  it("sorts only when the range overlaps the import region", () => {
+    const contract = input.indexOf("contract");
+    assert.deepEqual(
+      sortImportsWithCursor(input, {
+        rangeStart: contract,
+        rangeEnd: input.length,
+        cursorOffset: contract,
+      }),
+      { formatted: input, cursorOffset: contract },
+    );
+    assert.equal(
+      sortImports(input, { rangeStart: 0, rangeEnd: input.indexOf("\n") }),
+      input,
+    );
+    const inside = input.indexOf("A.sol");
+    assert.equal(
+      sortImports(input, { rangeStart: inside, rangeEnd: inside + 1 }),
+      sorted,
+    );
+  });
+
+  it("maps offsets of CRLF files with a byte order mark", () => {
+    const crlf = `\uFEFF${input.replace(/\n/g, "\r\n")}`;
+    const { formatted, cursorOffset } = sortImportsWithCursor(crlf, {
+      cursorOffset: crlf.indexOf("B.sol"),
+    });
+    assert.equal(formatted, `\uFEFF${sorted.replace(/\n/g, "\r\n")}`);
+    assert.equal(cursorOffset, formatted.indexOf("B.sol"));
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Text edits
+// ─────────────────────────────────────────────────────────────────────────────
+describe("importEdits", () => {
+  const { importEdits } = require("../src/sort-imports");
+  const { applyEdits } = require("../src/edits");
+  const input = `// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./B.sol";
+import "@oz/A.sol";
+
+contract C { uint x; }
+`;
+
+  it("edits only the import region", () => {
+    const edits = importEdits(input);
+    const region = {
+      start: input.indexOf("import"),
+      end: input.indexOf("contract"),
+    };
+    assert.ok(edits.length > 0);
+    for (const edit of edits) {
+      assert.ok(edit.start >= region.start && edit.end <= region.end);
+    }
+    assert.equal(applyEdits(input, edits), sortImports(input));
+  });
+
+  it("returns no edits for a sorted file", () => {
+    assert.deepEqual(importEdits(sortImports(input)), []);
+    assert.deepEqual(importEdits("contract C {}\n"), []);
+  });
+
+  it("gives offsets into CRLF files", () => {
+    const crlf = input.replace(/\n/g, "\r\n");
+    assert.equal(
+      applyEdits(crlf, importEdits(crlf)),
+      sortImports(input).replace(/\n/g, "\r\n"),
+    );
+  });
+});
@@ -0,0 +1,64 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * Write a tree of files under `root`, creating directories as needed.
+ * Object values become JSON.
+ *
+ * @param {string}                  root
+ * @param {Record<string, unknown>} files  relative path → content
+ */
+function writeTree(root, files) {
+  for (const [file, content] of Object.entries(files)) {
+    const full = path.join(root, file);
+    fs.mkdirSync(path.dirname(full), { recursive: true });
+    fs.writeFileSync(
+      full,
+      typeof content === "string" ? content : JSON.stringify(content),
+    );
+  }
+}
+
+/**
+ * Create a temporary directory holding `files`. Remove it with removeTree.
+ *
+ * @param {Record<string, unknown>} [files]
+ * @returns {string}  the directory's absolute path
+ */
+function makeTempTree(files = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "sort-imports-"));
+  writeTree(root, files);
+  return root;
+}
+
+/**
+ * Remove a directory made by makeTempTree.
+ *
+ * @param {string} root
+ */
+function removeTree(root) {
+  fs.rmSync(root, { recursive: true, force: true });
+}
+
+/**
+ * Run `fn` with a temporary directory holding `files`, removing the
+ * directory afterwards even when `fn` throws.
+ *
+ * @template T
+ * @param {Record<string, unknown>} files
+ * @param {(root: string) => T}     fn
+ * @returns {T}
+ */
+function withTempTree(files, fn) {
+  const root = makeTempTree(files);
+  try {
+    return fn(root);
+  } finally {
+    removeTree(root);
+  }
+}
+
+module.exports = { makeTempTree, removeTree, withTempTree, writeTree };
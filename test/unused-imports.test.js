@@ -0,0 +1,69 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { pruneNamedImport, usedIdentifiers } = require("../src/unused-imports");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Unit: usedIdentifiers
+// ─────────────────────────────────────────────────────────────────────────────
+describe("usedIdentifiers", () => {
+  it("ignores identifiers in comments and strings", () => {
+    const used = usedIdentifiers(`contract X is A {
+    // B is not used
+    string s = "C";
+    /* D */
+    function f() external { E.g(); }
+}`);
+    assert.ok(used.has("A"));
+    assert.ok(used.has("E"));
+    assert.ok(!used.has("B"));
+    assert.ok(!used.has("C"));
+    assert.ok(!used.has("D"));
+  });
+
+  it("counts NatSpec @inheritdoc targets as used", () => {
+    const used = usedIdentifiers(`/// @inheritdoc IVault
+function f() external {}
+/**
+ * @inheritdoc IPool
+ */`);
+    assert.ok(used.has("IVault"));
+    assert.ok(used.has("IPool"));
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Unit: pruneNamedImport
+// ─────────────────────────────────────────────────────────────────────────────
+describe("pruneNamedImport", () => {
+  const used = new Set(["A", "Alias"]);
+
+  it("drops unused symbols", () => {
+    assert.equal(
+      pruneNamedImport('import { A, B } from "x.sol";', used),
+      'import { A } from "x.sol";',
+    );
+  });
+
+  it("checks the alias rather than the original name", () => {
+    assert.equal(
+      pruneNamedImport('import { B as Alias, A as C } from "x.sol";', used),
+      'import { B as Alias } from "x.sol";',
+    );
+  });
+
+  it("returns null when no symbol is used", () => {
+    assert.equal(pruneNamedImport('import { B } from "x.sol";', used), null);
+  });
+
+  it("leaves bare and namespace imports untouched", () => {
+    for (const text of [
+      'import "x.sol";',
+      'import * as Unused from "x.sol";',
+      'import "x.sol" as Unused;',
+    ]) {
+      assert.equal(pruneNamedImport(text, used), text);
+    }
+  });
+});
@@ -0,0 +1,104 @@
+"use strict";
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const path = require("path");
+const {
+  findPackageDir,
+  findWorkspaceLayout,
+  findWorkspacePackages,
+} = require("../src/workspaces");
+const { makeTempTree, removeTree, writeTree } = require("./temp-tree");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Unit: findWorkspacePackages
+// ─────────────────────────────────────────────────────────────────────────────
+describe("findWorkspacePackages", () => {
+  let root;
+
+  before(() => {
+    root = makeTempTree({
+      "package.json": {
+        name: "monorepo",
+        private: true,
+        workspaces: ["pkg/*", "tools/**", "!pkg/legacy"],
+      },
+      "pkg/vault/package.json": { name: "@org/v3-vault" },
+      "pkg/interfaces/package.json": { name: "@org-labs/v3-interfaces" },
+      "pkg/legacy/package.json": { name: "@org/legacy" },
+      "pkg/no-manifest/README.md": "",
+      "tools/deep/shared/package.json": { name: "shared-utils" },
+      "pkg/vault/contracts/Vault.sol": "",
+      "yarn-style/package.json": {
+        workspaces: { packages: ["libs/*"] },
+      },
+      "yarn-style/libs/a/package.json": { name: "lib-a" },
+      "yarn-style/libs/a/contracts/A.sol": "",
+    });
+  });
+
+  after(() => {
+    removeTree(root);
+  });
+
+  it("collects workspace package names from the nearest workspace root", () => {
+    const names = findWorkspacePackages(
+      path.join(root, "pkg/vault/contracts/Vault.sol"),
+    );
+    assert.deepEqual([...names].sort(), [
+      "@org-labs/v3-interfaces",
+      "@org/v3-vault",
+      "shared-utils",
+    ]);
+  });
+
+  it("supports the { packages: [...] } workspaces form", () => {
+    assert.deepEqual(
+      findWorkspacePackages(
+        path.join(root, "yarn-style/libs/a/contracts/A.sol"),
+      ),
+      ["lib-a"],
+    );
+  });
+
+  it("reports the directory of every workspace package", () => {
+    const layout = findWorkspaceLayout(
+      path.join(root, "yarn-style/libs/a/contracts/A.sol"),
+    );
+    assert.deepEqual(layout, [
+      { name: "lib-a", dir: path.join(root, "yarn-style/libs/a") },
+    ]);
+  });
+
+  it("finds the nearest package directory", () => {
+    assert.equal(
+      findPackageDir(path.join(root, "pkg/vault/contracts/Vault.sol")),
+      path.join(root, "pkg/vault"),
+    );
+    assert.equal(
+      findPackageDir(path.join(root, "pkg/no-manifest/X.sol")),
+      root,
+    );
+  });
+
+  it("picks up workspace packages added or renamed on disk", () => {
+    const file = path.join(root, "yarn-style/libs/a/contracts/A.sol");
+    assert.deepEqual(findWorkspacePackages(file), ["lib-a"]);
+    writeTree(root, {
+      "yarn-style/libs/a/package.json": { name: "lib-renamed" },
+      "yarn-style/libs/b/package.json": { name: "lib-b" },
+    });
+    assert.deepEqual(findWorkspacePackages(file), ["lib-renamed", "lib-b"]);
+    writeTree(root, { "yarn-style/libs/a/package.json": { name: "lib-a" } });
+    removeTree(path.join(root, "yarn-style/libs/b"));
+  });
+
+  it("returns nothing without a filepath or a workspace root", () => {
+    assert.deepEqual(findWorkspacePackages(undefined), []);
+    assert.deepEqual(
+      findWorkspacePackages(path.join(os.tmpdir(), "nowhere", "X.sol")),
+      [],
+    );
+  });
+});